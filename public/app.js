@@ -58,6 +58,7 @@ class PapyrusLiteApp {
       loading: document.getElementById('loading'),
       errorToast: document.getElementById('error-toast'),
       successToast: document.getElementById('success-toast'),
+      dataAlert: document.getElementById('data-alert'),
       errorMessage: document.getElementById('error-message'),
       successMessage: document.getElementById('success-message'),
       errorClose: document.getElementById('error-close'),
@@ -179,6 +180,7 @@ class PapyrusLiteApp {
     this.socket.on('init', (data) => {
       console.log('Received initial data:', data);
       this.currentData = data;
+      this.showDataAlert(data.dataErrors || []);
       // Only show ready message on first connection
       if (!this.hasInitialized) {
         this.addOutput('Ready. Type /help for commands.', 'system');
@@ -218,6 +220,8 @@ class PapyrusLiteApp {
       console.error('Socket error:', error);
       this.clearAllTimeouts();
       this.hideLoading();
+      this.savingRoots = false;
+      this.savingSettings = false;
       
       let errorMessage = 'Socket error occurred.';
       if (error && error.message) {
@@ -242,8 +246,44 @@ class PapyrusLiteApp {
       this.currentData.aiModel = model;
     });
 
-    this.socket.on('rootPathUpdated', (rootPath) => {
-      this.currentData.rootPath = rootPath;
+    this.socket.on('rootsUpdated', (data) => {
+      this.currentData.roots = data.roots;
+      this.currentData.defaultRoot = data.defaultRoot;
+      if (this.savingRoots) {
+        this.savingRoots = false;
+        this.showSuccess('Root folders saved');
+        this.hideModal();
+      }
+    });
+
+    this.socket.on('settingsUpdated', (settings) => {
+      this.currentData.settings = settings;
+      if (this.savingSettings) {
+        this.savingSettings = false;
+        this.showSuccess('Settings saved successfully');
+        this.hideModal();
+      }
+    });
+
+    this.socket.on('bundleExported', (data) => {
+      this.downloadBundle(data.bundle);
+    });
+
+    this.socket.on('importPreview', (plan) => {
+      this.showImportPreview(plan);
+    });
+
+    this.socket.on('importApplied', (data) => {
+      this.handleImportApplied(data);
+    });
+
+    // A backup was restored, possibly from another client: start over with the restored data
+    this.socket.on('dataRestored', (data) => {
+      const { backupId, ...restored } = data;
+      this.currentData = restored;
+      this.showDataAlert(restored.dataErrors || []);
+      this.hideModal();
+      this.addOutput(`Data restored from backup ${backupId}.`, 'system');
     });
 
     this.socket.on('aiResponse', (data) => {
@@ -266,7 +306,31 @@ class PapyrusLiteApp {
     });
 
     this.socket.on('linksProcessed', (data) => {
-      this.updatePreviewContent(data.processed);
+      this.updatePreviewContent(data.processed, data.spans, data.budget);
+    });
+
+    this.socket.on('renamePreview', (plan) => {
+      this.showRenamePreview(plan);
+    });
+
+    this.socket.on('renameApplied', (data) => {
+      this.handleRenameApplied(data);
+    });
+
+    this.socket.on('usagesResult', (data) => {
+      this.handleUsagesResult(data.name, data.usages);
+    });
+
+    this.socket.on('revisionsResult', (data) => {
+      this.showHistoryUI(data);
+    });
+
+    this.socket.on('revisionDiff', (data) => {
+      this.showRevisionDiff(data);
+    });
+
+    this.socket.on('revisionRestored', (data) => {
+      this.handleRevisionRestored(data);
     });
 
     this.socket.on('fileChanged', (data) => {
@@ -355,7 +419,16 @@ class PapyrusLiteApp {
       { name: '/subs', description: 'Manage substitutes' },
       { name: '/system', description: 'Edit system instructions' },
       { name: '/ai-model', description: 'Select AI model' },
-      { name: '/root', description: 'Set root folder path' },
+      { name: '/root', description: 'Manage root folders' },
+      { name: '/settings', description: 'Edit link and file settings' },
+      { name: '/tree', description: 'Show the dependency tree of a prompt or substitute' },
+      { name: '/usages', description: 'Show what uses a substitute or file' },
+      { name: '/check', description: 'Check every prompt and substitute for link problems' },
+      { name: '/export-bundle', description: 'Export prompts and their substitutes as a bundle' },
+      { name: '/import-bundle', description: 'Import a bundle' },
+      { name: '/backup', description: 'Back up the data now' },
+      { name: '/backups', description: 'List backups' },
+      { name: '/restore', description: 'Restore a backup by id' },
       { name: '/help', description: 'Show help information' }
     ];
 
@@ -530,6 +603,27 @@ class PapyrusLiteApp {
       case 'root':
         this.showRootUI(data);
         break;
+      case 'settings':
+        this.showSettingsUI(data);
+        break;
+      case 'tree':
+        this.showTreeUI(data);
+        break;
+      case 'usages':
+        this.showUsagesUI(data);
+        break;
+      case 'check':
+        this.showCheckUI(data);
+        break;
+      case 'backups':
+        this.showBackupsUI(data);
+        break;
+      case 'exportBundle':
+        this.showExportBundleUI(data);
+        break;
+      case 'importBundle':
+        this.showImportBundleUI();
+        break;
       case 'promptPreview':
         this.showPromptPreview(data);
         break;
@@ -631,19 +725,398 @@ class PapyrusLiteApp {
     this.showModal();
   }
 
-  showRootUI(currentPath) {
-    this.elements.modalTitle.textContent = 'Set Root Folder Path';
+  showRootUI(data) {
+    this.rootRows = Object.entries(data.roots).map(([name, path]) => ({ name, path }));
+    this.defaultRootIndex = Math.max(0, this.rootRows.findIndex(row => row.name === data.defaultRoot));
+    if (this.rootRows.length === 0) {
+      this.rootRows.push({ name: 'main', path: '' });
+    }
+    
+    this.renderRootRows();
+    this.showModal();
+  }
+
+  renderRootRows() {
+    this.elements.modalTitle.textContent = 'Root Folders';
+    
+    const html = `
+      <div class="root-list">
+        ${this.rootRows.map((row, index) => `
+          <div class="root-row">
+            <label class="root-default" title="Links without a root name use the default root">
+              <input type="radio" name="default-root" ${index === this.defaultRootIndex ? 'checked' : ''} onchange="app.defaultRootIndex = ${index}">
+              Default
+            </label>
+            <input type="text" class="form-input root-name" value="${this.escapeHtml(row.name)}" placeholder="name">
+            <input type="text" class="form-input root-path" value="${this.escapeHtml(row.path)}" placeholder="/path/to/your/files">
+            <button class="btn btn-small btn-error" onclick="app.removeRoot(${index})">Remove</button>
+          </div>
+        `).join('')}
+      </div>
+      <small style="color: var(--text-muted); margin-top: 4px; display: block;">
+        Link to a file in a root with {{name:path/to/file.md}}. Links without a root name, like {{file.md}}, use the default root. Each folder must exist, and links cannot leave the root they name.
+      </small>
+      <div class="btn-group btn-group-right">
+        <button class="btn btn-secondary" onclick="app.addRoot()">Add Root</button>
+        <button class="btn btn-primary" onclick="app.saveRoots()">Save</button>
+      </div>
+    `;
+    
+    this.elements.modalBody.innerHTML = html;
+  }
+
+  // Keep typed names and paths when the list is redrawn
+  readRootRows() {
+    const names = document.querySelectorAll('.root-name');
+    const paths = document.querySelectorAll('.root-path');
+    this.rootRows = this.rootRows.map((row, index) => ({ name: names[index].value.trim(), path: paths[index].value.trim() }));
+  }
+
+  addRoot() {
+    this.readRootRows();
+    this.rootRows.push({ name: '', path: '' });
+    this.renderRootRows();
+  }
+
+  removeRoot(index) {
+    this.readRootRows();
+    this.rootRows.splice(index, 1);
+    if (this.defaultRootIndex >= index && this.defaultRootIndex > 0) {
+      this.defaultRootIndex--;
+    }
+    this.renderRootRows();
+  }
+
+  showSettingsUI(settings) {
+    this.elements.modalTitle.textContent = 'Settings';
     
     const html = `
       <div class="form-group">
-        <label class="form-label">Root Folder Path:</label>
-        <input type="text" class="form-input" id="root-path" value="${this.escapeHtml(currentPath)}" placeholder="/path/to/your/files">
+        <label class="form-label">Settings (JSON):</label>
+        <textarea class="form-textarea" id="settings-json" rows="12">${this.escapeHtml(JSON.stringify(settings, null, 2))}</textarea>
         <small style="color: var(--text-muted); margin-top: 4px; display: block;">
-          This is where {{}} file links will be resolved from. Must be an existing directory.
+          maxGlobFiles: the most files a single glob link such as {{docs/**/*.md}} may include.<br>
+          maxFileSize: the largest file, in bytes, a link may include.<br>
+          maxExpansionChars: /check warns about items that render to more characters than this.<br>
+          contextWarningPercent: the preview warns when a render uses this much of the model's context window.<br>
+          libraryPath: a folder to keep prompts and substitutes in as .md files (prompts/ and subs/), or "" for the JSON files.<br>
+          backupIntervalMinutes, backupKeepLast, backupKeepDaily: how often data is backed up, and how many backups are kept.<br>
+          allowedExtensions: file types links may include (binary files are always refused).
         </small>
       </div>
       <div class="btn-group btn-group-right">
-        <button class="btn btn-primary" onclick="app.saveRootPath()">Save</button>
+        <button class="btn btn-primary" onclick="app.saveSettings()">Save</button>
+      </div>
+    `;
+    
+    this.elements.modalBody.innerHTML = html;
+    this.showModal();
+  }
+
+  showTreeUI(tree) {
+    this.elements.modalTitle.textContent = `Dependency Tree: ${tree.name}`;
+    this.treeNodes = [tree];
+    
+    const html = `
+      <div class="tree-legend">
+        Click a substitute or prompt to edit it, or a file, glob, dynamic or git link to preview it. Sizes are rendered characters.
+      </div>
+      <div class="dependency-tree">
+        ${this.buildTreeNodeHtml(tree, 0)}
+      </div>
+    `;
+    
+    this.elements.modalBody.innerHTML = html;
+    this.showModal();
+  }
+
+  buildTreeNodeHtml(node, index) {
+    const label = node.name || node.path || node.link;
+    const size = node.chars !== null ? `${node.chars.toLocaleString()} chars` : '';
+    const location = node.resolvedPath || (node.type === 'folder' ? node.path : '');
+    const summary = `
+      <span class="tree-type tree-type-${node.type}">${node.type}</span>
+      <span class="tree-label" onclick="app.openTreeNode(${index}); event.preventDefault();">${this.escapeHtml(label)}</span>
+      ${node.link && node.link !== label ? `<span class="tree-link">{{${this.escapeHtml(node.link)}}}</span>` : ''}
+      <span class="tree-size">${size}</span>
+      ${location ? `<span class="tree-path">${this.escapeHtml(location)}</span>` : ''}
+      ${node.error ? `<span class="tree-error">${this.escapeHtml(node.error)}</span>` : ''}
+    `;
+    
+    if (node.children.length === 0) {
+      return `<div class="tree-node tree-leaf">${summary}</div>`;
+    }
+    
+    const children = node.children.map(child => {
+      this.treeNodes.push(child);
+      return this.buildTreeNodeHtml(child, this.treeNodes.length - 1);
+    }).join('');
+    return `<details class="tree-node" open><summary>${summary}</summary>${children}</details>`;
+  }
+
+  openTreeNode(index) {
+    const node = this.treeNodes[index];
+    if (node.type === 'prompt') {
+      this.editPrompt(node.name);
+    } else if (node.type === 'dynamic' || node.type === 'git') {
+      this.showPromptPreview({ name: node.name, content: `{{${node.name}}}`, isPrompt: false });
+    } else if (node.name) {
+      this.editSubstitute(node.name);
+    } else if (node.path) {
+      this.showPromptPreview({ name: node.path, content: `{{${node.path}}}`, isPrompt: false });
+    }
+  }
+
+  showUsagesUI(usages) {
+    const label = usages.target.type === 'file' ? 'File' : 'Substitute';
+    this.elements.modalTitle.textContent = `Usages: ${usages.target.name}`;
+    
+    const renderItems = (items) => items.map(item => `
+      <div class="item-list-item">
+        <div>
+          <div class="item-name">${this.escapeHtml(item.name)}</div>
+          <div class="item-content">${item.type}${item.via ? ` via ${this.escapeHtml(item.via)}` : ''}</div>
+        </div>
+        <div class="item-actions">
+          <button class="btn btn-small btn-secondary" onclick="app.${item.type === 'prompt' ? 'editPrompt' : 'editSubstitute'}('${this.escapeHtml(item.name)}')">Edit</button>
+        </div>
+      </div>
+    `).join('');
+    
+    const html = usages.direct.length + usages.indirect.length === 0 ? `
+      <div class="form-group">${label} ${this.escapeHtml(usages.target.name)} is not used by any prompt or substitute.</div>
+    ` : `
+      <div class="form-group">
+        <label class="form-label">Used directly (${usages.direct.length}):</label>
+        <div class="item-list">${renderItems(usages.direct)}</div>
+      </div>
+      <div class="form-group">
+        <label class="form-label">Used indirectly (${usages.indirect.length}):</label>
+        <div class="item-list">${renderItems(usages.indirect)}</div>
+      </div>
+    `;
+    
+    this.elements.modalBody.innerHTML = html;
+    this.showModal();
+  }
+
+  showCheckUI(report) {
+    this.elements.modalTitle.textContent = 'Workspace Check';
+    this.checkItems = report.items;
+    
+    const renderIssue = (issue) => `
+      <div class="check-issue check-${issue.severity}">
+        <span class="check-kind">${issue.kind}</span>
+        ${issue.link ? `<code>{{${this.escapeHtml(issue.link)}}}</code>` : ''}
+        ${this.escapeHtml(issue.message)}
+      </div>
+    `;
+    
+    const html = `
+      <div class="form-group">
+        Checked ${report.summary.items} items: ${report.summary.errors} error${report.summary.errors === 1 ? '' : 's'}, ${report.summary.warnings} warning${report.summary.warnings === 1 ? '' : 's'}.
+        ${report.summary.errors + report.summary.warnings === 0 ? 'Everything looks good.' : ''}
+      </div>
+      ${report.workspace.length > 0 ? `
+        <div class="form-group">
+          <label class="form-label">Workspace:</label>
+          ${report.workspace.map(renderIssue).join('')}
+        </div>
+      ` : ''}
+      <div class="item-list">
+        ${report.items.map((item, index) => `
+          <div class="item-list-item">
+            <div>
+              <div class="item-name">${this.escapeHtml(item.name)} <span class="tree-link">${item.type}${item.chars !== null ? ` · ${item.chars.toLocaleString()} chars` : ''}</span></div>
+              ${item.issues.map(renderIssue).join('')}
+            </div>
+            <div class="item-actions">
+              <button class="btn btn-small btn-secondary" onclick="app.editCheckItem(${index})">Edit</button>
+            </div>
+          </div>
+        `).join('')}
+      </div>
+      <div class="btn-group btn-group-right mt-2">
+        <button class="btn btn-secondary" onclick="app.runCheck()">Run Again</button>
+      </div>
+    `;
+    
+    this.elements.modalBody.innerHTML = html;
+    this.showModal();
+  }
+
+  editCheckItem(index) {
+    const item = this.checkItems[index];
+    if (item.type === 'prompt') {
+      this.editPrompt(item.name);
+    } else if (item.type === 'substitute') {
+      this.editSubstitute(item.name);
+    } else {
+      this.showSystemUI(this.currentData.systemInstructions);
+    }
+  }
+
+  showBackupsUI(backups) {
+    this.elements.modalTitle.textContent = 'Backups';
+    const formatSize = (bytes) => (bytes < 1024 * 1024 ? `${Math.ceil(bytes / 1024)} KB` : `${(bytes / 1024 / 1024).toFixed(1)} MB`);
+    
+    const html = `
+      <div class="form-group">
+        <button class="btn btn-primary" onclick="app.createBackup()">Back Up Now</button>
+      </div>
+      ${backups.length === 0 ? '<div class="form-group">No backups yet.</div>' : `
+        <div class="item-list">
+          ${backups.map(backup => `
+            <div class="item-list-item">
+              <div>
+                <div class="item-name">${this.escapeHtml(new Date(backup.createdAt).toLocaleString())}</div>
+                <div class="item-content backup-details">${this.escapeHtml(backup.id)} · ${backup.reason} · ${backup.files} files · ${formatSize(backup.size)}</div>
+              </div>
+              <div class="item-actions">
+                <button class="btn btn-small btn-secondary" onclick="app.restoreBackup('${this.escapeHtml(backup.id)}')">Restore</button>
+              </div>
+            </div>
+          `).join('')}
+        </div>
+      `}
+    `;
+    
+    this.elements.modalBody.innerHTML = html;
+    this.showModal();
+  }
+
+  createBackup() {
+    this.hideModal();
+    this.showLoading();
+    this.socket.emit('command', { command: 'backup', args: [] });
+  }
+
+  restoreBackup(id) {
+    if (!confirm(`Restore backup ${id}? The current data is backed up first, so this can be undone.`)) return;
+    
+    this.showLoading();
+    this.socket.emit('command', { command: 'restore', args: [id] });
+  }
+
+  // Bundles: prompts, the substitutes they use and optionally the system instructions and model, as one JSON file
+  showExportBundleUI(data) {
+    this.elements.modalTitle.textContent = 'Export Bundle';
+    
+    const html = `
+      <div class="form-group">
+        <label class="form-label">Prompts (the substitutes they use are included automatically):</label>
+        <div class="bundle-options">
+          ${data.prompts.map(name => `
+            <label class="bundle-option">
+              <input type="checkbox" class="bundle-prompt" value="${this.escapeHtml(name)}" ${data.selected.includes(name) ? 'checked' : ''}>
+              ${this.escapeHtml(name)}
+            </label>
+          `).join('') || 'No prompts yet.'}
+        </div>
+      </div>
+      <div class="form-group bundle-options">
+        <label class="bundle-option"><input type="checkbox" id="bundle-system"> Include the system instructions</label>
+        <label class="bundle-option"><input type="checkbox" id="bundle-model"> Include the AI model</label>
+      </div>
+      <div class="btn-group btn-group-right">
+        <button class="btn btn-primary" onclick="app.exportBundle()">Export</button>
+      </div>
+    `;
+    
+    this.elements.modalBody.innerHTML = html;
+    this.showModal();
+  }
+
+  exportBundle() {
+    this.socket.emit('exportBundle', {
+      prompts: [...document.querySelectorAll('.bundle-prompt:checked')].map(input => input.value),
+      includeSystem: document.getElementById('bundle-system').checked,
+      includeModel: document.getElementById('bundle-model').checked
+    });
+  }
+
+  downloadBundle(bundle) {
+    const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `papyrus-bundle-${bundle.exportedAt.slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+    
+    const prompts = Object.keys(bundle.prompts).length;
+    const substitutes = Object.keys(bundle.substitutes).length;
+    this.hideModal();
+    this.showSuccess(`Exported ${prompts} prompt${prompts === 1 ? '' : 's'} and ${substitutes} substitute${substitutes === 1 ? '' : 's'}`);
+  }
+
+  showImportBundleUI() {
+    this.elements.modalTitle.textContent = 'Import Bundle';
+    
+    const html = `
+      <div class="form-group">
+        <label class="form-label">Bundle file (.json):</label>
+        <input type="file" class="form-input" id="bundle-file" accept=".json,application/json">
+      </div>
+      <div class="btn-group btn-group-right">
+        <button class="btn btn-primary" onclick="app.previewImport()">Preview</button>
+      </div>
+    `;
+    
+    this.elements.modalBody.innerHTML = html;
+    this.showModal();
+  }
+
+  previewImport() {
+    const file = document.getElementById('bundle-file').files[0];
+    if (!file) {
+      this.showError('Choose a bundle file first');
+      return;
+    }
+    
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        this.pendingBundle = JSON.parse(reader.result);
+      } catch (error) {
+        this.showError(`${file.name} is not valid JSON`);
+        return;
+      }
+      this.socket.emit('previewImport', { bundle: this.pendingBundle });
+    };
+    reader.readAsText(file);
+  }
+
+  // New items are added, identical ones left alone, and each conflict gets a choice
+  showImportPreview(plan) {
+    this.elements.modalTitle.textContent = 'Import Bundle';
+    const statusText = { new: 'new', same: 'already here, unchanged' };
+    
+    const html = `
+      ${plan.exportedAt ? `<div class="form-group">Exported ${this.escapeHtml(new Date(plan.exportedAt).toLocaleString())}</div>` : ''}
+      <div class="item-list">
+        ${plan.items.map(item => `
+          <div class="item-list-item">
+            <div>
+              <div class="item-name">${this.escapeHtml(item.name)} <span class="tree-link">${item.kind}</span></div>
+              <div class="item-content backup-details">${item.status === 'conflict' ? 'A different version already exists' : statusText[item.status]}</div>
+            </div>
+            ${item.status === 'conflict' ? `
+              <select class="form-select bundle-resolution" data-key="${this.escapeHtml(`${item.kind}:${item.name}`)}">
+                <option value="skip">Skip</option>
+                <option value="overwrite">Overwrite</option>
+                <option value="rename">Import as ${this.escapeHtml(item.name)}-imported</option>
+              </select>
+            ` : ''}
+          </div>
+        `).join('')}
+      </div>
+      <div class="form-group bundle-options mt-2">
+        ${plan.systemInstructions ? '<label class="bundle-option"><input type="checkbox" id="import-system"> Replace the system instructions with the bundle\'s</label>' : ''}
+        ${plan.aiModel ? `<label class="bundle-option"><input type="checkbox" id="import-model"> Switch the AI model to ${this.escapeHtml(plan.aiModel)}</label>` : ''}
+      </div>
+      <div class="btn-group btn-group-right">
+        <button class="btn btn-secondary" onclick="app.showImportBundleUI()">Cancel</button>
+        <button class="btn btn-primary" onclick="app.applyImport()">Import</button>
       </div>
     `;
     
@@ -651,18 +1124,106 @@ class PapyrusLiteApp {
     this.showModal();
   }
 
+  applyImport() {
+    const resolutions = Object.fromEntries(
+      [...document.querySelectorAll('.bundle-resolution')].map(select => [select.dataset.key, select.value])
+    );
+    const system = document.getElementById('import-system');
+    const model = document.getElementById('import-model');
+    
+    this.socket.emit('applyImport', {
+      bundle: this.pendingBundle,
+      resolutions,
+      importSystem: Boolean(system && system.checked),
+      importModel: Boolean(model && model.checked)
+    });
+  }
+
+  handleImportApplied(data) {
+    const { summary, ...clientData } = data;
+    const { added, overwritten, renamed, skipped, systemInstructions, aiModel } = summary;
+    this.currentData = { ...this.currentData, ...clientData };
+    this.pendingBundle = null;
+    this.hideModal();
+    
+    const lines = [`Imported bundle: ${added.length} added, ${overwritten.length} overwritten, ${skipped.length} skipped.`];
+    for (const rename of renamed) {
+      lines.push(`${rename.kind} "${rename.from}" was imported as "${rename.to}"`);
+    }
+    if (systemInstructions) {
+      lines.push('System instructions replaced.');
+    }
+    if (aiModel) {
+      lines.push(`AI model set to ${aiModel}.`);
+    }
+    lines.forEach(line => this.addOutput(line, 'result'));
+    this.showSuccess('Bundle imported');
+  }
+
+  runCheck() {
+    this.showLoading();
+    this.socket.emit('command', { command: 'check', args: [] });
+  }
+
+  // One-line summary for the substitute editor and delete confirmation
+  describeUsages(usages) {
+    const users = [...usages.direct, ...usages.indirect];
+    if (users.length === 0) {
+      return 'Not used by any prompt or substitute.';
+    }
+    
+    const list = users.map(item => `${item.type} "${item.name}"${item.via ? ` (via ${item.via})` : ''}`);
+    return `Used by ${users.length} item${users.length > 1 ? 's' : ''}: ${list.join(', ')}`;
+  }
+
+  handleUsagesResult(name, usages) {
+    if (this.pendingDeleteSubstitute === name) {
+      this.pendingDeleteSubstitute = null;
+      this.confirmDeleteSubstitute(name, usages);
+      return;
+    }
+    
+    const summary = document.getElementById('substitute-usages');
+    if (summary && summary.dataset.name === name) {
+      summary.textContent = this.describeUsages(usages);
+      summary.classList.toggle('usage-warning', usages.direct.length + usages.indirect.length > 0);
+    }
+  }
+
   showPromptPreview(data) {
     this.elements.modalTitle.textContent = data.isPrompt ? `Prompt: ${data.name}` : 'Content Preview';
+    const variables = data.variables || [];
+    const values = data.values || {};
     
     const html = `
+      ${variables.length > 0 ? `
+        <div class="fill-in-form" id="fill-in-form">
+          ${variables.map(variable => `
+            <div class="form-group">
+              <label class="form-label">${this.escapeHtml(variable.name)}:</label>
+              <input type="text" class="form-input fill-in-input" data-name="${this.escapeHtml(variable.name)}"
+                value="${this.escapeHtml(values[variable.name] !== undefined ? values[variable.name] : (variable.defaultValue || ''))}"
+                placeholder="${variable.defaultValue !== null ? this.escapeHtml(`Default: ${variable.defaultValue}`) : 'Required'}"
+                onkeydown="if (event.key === 'Enter') app.applyFillIns()">
+            </div>
+          `).join('')}
+          <div class="btn-group btn-group-right">
+            <button class="btn btn-small btn-primary" onclick="app.applyFillIns()">Apply</button>
+          </div>
+        </div>
+      ` : ''}
       <div class="preview-container">
         <div class="preview-header">
           <span class="preview-title">${data.isPrompt ? 'Prompt Content' : 'Rendered Content'}</span>
           <div class="preview-toggle">
+            <button class="btn btn-small btn-secondary token-count" id="token-count" onclick="app.toggleTokenBreakdown()" disabled>Tokens</button>
+            <button class="btn btn-small btn-secondary" id="sources-toggle" onclick="app.toggleSources()">Sources</button>
             <button class="btn btn-small" id="render-toggle" onclick="app.toggleRender()">Raw</button>
           </div>
         </div>
+        <div class="token-breakdown hidden" id="token-breakdown"></div>
         <div class="preview-content preview-rendered" id="preview-content"></div>
+        <div class="source-info hidden" id="source-info">Hover over the text to see where it came from</div>
       </div>
       <div class="btn-group btn-group-center mt-2">
         <button class="btn btn-secondary" onclick="app.copyContent()">Copy</button>
@@ -673,10 +1234,73 @@ class PapyrusLiteApp {
     
     this.elements.modalBody.innerHTML = html;
     this.currentPreviewContent = data.content;
+    this.currentPreviewName = data.isPrompt ? data.name : null;
+    this.currentVariables = variables;
+    this.currentSourceSpans = [];
+    this.currentBudget = null;
     this.isRendered = true;
+    this.showingSources = false;
+    this.pendingSend = Boolean(data.send);
     this.showModal();
     
-    // Automatically render the content on load
+    // Automatically render the content on load, unless a required value is still empty
+    const missing = this.findMissingFillIns();
+    if (missing.length > 0) {
+      if (this.pendingSend) {
+        this.pendingSend = false;
+        this.showError(`Fill in ${missing.join(', ')}, then Send to AI`);
+      }
+      this.isRendered = false;
+      document.getElementById('preview-content').innerHTML = this.escapeHtml(this.currentPreviewContent);
+      document.getElementById('preview-content').classList.remove('preview-rendered');
+      document.getElementById('render-toggle').textContent = 'Render';
+      document.querySelector(`.fill-in-input[data-name="${missing[0]}"]`).focus();
+      return;
+    }
+    
+    this.requestRender();
+  }
+
+  // Fill-in values keyed by variable name; null (with an error shown) if a required one is empty
+  collectFillIns() {
+    if (this.currentVariables.length === 0) {
+      return undefined;
+    }
+    
+    const missing = this.findMissingFillIns();
+    if (missing.length > 0) {
+      this.showError(`Fill in: ${missing.join(', ')}`);
+      return null;
+    }
+    
+    const values = {};
+    document.querySelectorAll('.fill-in-input').forEach(input => {
+      values[input.dataset.name] = input.value;
+    });
+    return values;
+  }
+
+  findMissingFillIns() {
+    return this.currentVariables
+      .filter(variable => variable.defaultValue === null)
+      .map(variable => variable.name)
+      .filter(name => !document.querySelector(`.fill-in-input[data-name="${name}"]`).value.trim());
+  }
+
+  applyFillIns() {
+    if (this.collectFillIns() === null) return;
+    document.getElementById('render-toggle').textContent = 'Raw';
+    this.requestRender();
+  }
+
+  // Ask the server to fill in variables and process links; the result arrives as linksProcessed
+  requestRender() {
+    const values = this.collectFillIns();
+    if (values === null) {
+      this.pendingSend = false;
+      return false;
+    }
+    
     this.showLoading();
     
     // Set a timeout for link processing
@@ -685,7 +1309,8 @@ class PapyrusLiteApp {
       this.showError('Link processing timed out. Please try again.');
     }, 30000); // 30 second timeout for link processing
     
-    this.socket.emit('processLinks', { content: data.content });
+    this.socket.emit('processLinks', { content: this.currentPreviewContent, name: this.currentPreviewName, values });
+    return true;
   }
 
   // Prompt management methods
@@ -716,6 +1341,8 @@ class PapyrusLiteApp {
         <textarea class="form-textarea" id="prompt-content" rows="15">${this.escapeHtml(content)}</textarea>
       </div>
       <div class="btn-group btn-group-right">
+        ${content !== '' ? `<button class="btn btn-secondary" onclick="app.showHistory('prompt', '${this.escapeHtml(name)}')">History</button>` : ''}
+        ${content !== '' ? `<button class="btn btn-secondary" onclick="app.renameItem('prompt', '${this.escapeHtml(name)}')">Rename</button>` : ''}
         <button class="btn btn-secondary" onclick="app.showPromptsUI(app.currentData.prompts)">Cancel</button>
         <button class="btn btn-primary" onclick="app.savePrompt()">Save</button>
       </div>
@@ -734,7 +1361,7 @@ class PapyrusLiteApp {
       return;
     }
     
-    const reservedCommands = ['restart', 'prompts', 'subs', 'system', 'ai-model', 'root', 'help'];
+    const reservedCommands = ['restart', 'prompts', 'subs', 'system', 'ai-model', 'root', 'settings', 'tree', 'usages', 'check', 'export-bundle', 'import-bundle', 'backup', 'backups', 'restore', 'help'];
     if (reservedCommands.includes(name)) {
       this.showError(`"${name}" is a reserved command name`);
       return;
@@ -789,7 +1416,11 @@ class PapyrusLiteApp {
           Use {{substitute-name}} or {{path/to/file.md}} to reference other substitutes or files.
         </small>
       </div>
+      ${content !== '' ? `<div class="usage-summary" id="substitute-usages" data-name="${this.escapeHtml(name)}">Checking usages...</div>` : ''}
       <div class="btn-group btn-group-right">
+        ${content !== '' ? `<button class="btn btn-error" onclick="app.deleteSubstitute('${this.escapeHtml(name)}')">Delete</button>` : ''}
+        ${content !== '' ? `<button class="btn btn-secondary" onclick="app.showHistory('substitute', '${this.escapeHtml(name)}')">History</button>` : ''}
+        ${content !== '' ? `<button class="btn btn-secondary" onclick="app.renameItem('substitute', '${this.escapeHtml(name)}')">Rename</button>` : ''}
         <button class="btn btn-secondary" onclick="app.showSubstitutesUI(app.currentData.substitutes)">Cancel</button>
         <button class="btn btn-primary" onclick="app.saveSubstitute()">Save</button>
       </div>
@@ -797,6 +1428,10 @@ class PapyrusLiteApp {
     
     this.elements.modalTitle.textContent = content === '' ? 'Add New Substitute' : 'Edit Substitute';
     this.elements.modalBody.innerHTML = html;
+    
+    if (content !== '') {
+      this.socket.emit('getUsages', { name });
+    }
   }
 
   saveSubstitute() {
@@ -816,8 +1451,16 @@ class PapyrusLiteApp {
     this.showSubstitutesUI(updatedSubstitutes);
   }
 
+  // Look up what uses the substitute first, so the confirmation can warn about broken links
   deleteSubstitute(name) {
-    if (!confirm(`Delete substitute "${name}"?`)) return;
+    this.pendingDeleteSubstitute = name;
+    this.socket.emit('getUsages', { name });
+  }
+
+  confirmDeleteSubstitute(name, usages) {
+    const users = usages.direct.length + usages.indirect.length;
+    const warning = users > 0 ? `\n\n${this.describeUsages(usages)}\nTheir {{${name}}} links will stop resolving.` : '';
+    if (!confirm(`Delete substitute "${name}"?${warning}`)) return;
     
     const updatedSubstitutes = { ...this.currentData.substitutes };
     delete updatedSubstitutes[name];
@@ -827,6 +1470,164 @@ class PapyrusLiteApp {
     this.showSubstitutesUI(updatedSubstitutes);
   }
 
+  // Rename methods: the server previews every link it will rewrite before anything is saved
+  renameItem(kind, oldName) {
+    const newName = prompt(`Rename ${kind} "${oldName}" to:`, oldName);
+    if (!newName || newName.trim() === oldName) return;
+    
+    this.socket.emit('previewRename', { kind, oldName, newName: newName.trim() });
+  }
+
+  showRenamePreview(plan) {
+    this.elements.modalTitle.textContent = `Rename ${plan.kind}: ${plan.oldName} → ${plan.newName}`;
+    const linkCount = plan.changes.reduce((total, change) => total + change.links.length, 0);
+    const backAction = plan.kind === 'prompt' ? 'editPrompt' : 'editSubstitute';
+    
+    const html = `
+      <div class="form-group">
+        ${plan.kind === 'substitute'
+          ? `${linkCount} link${linkCount === 1 ? '' : 's'} in ${plan.changes.length} item${plan.changes.length === 1 ? '' : 's'} will be rewritten.`
+          : 'Prompts are not linked from other items, so only the name changes.'}
+        ${plan.values.length > 0
+          ? `Remembered values for ${plan.values.map(name => this.escapeHtml(name)).join(', ')} move to the new name.`
+          : ''}
+      </div>
+      ${plan.warnings.map(warning => `<div class="form-group usage-summary usage-warning">${this.escapeHtml(warning)}</div>`).join('')}
+      <div class="item-list">
+        ${plan.changes.map(change => `
+          <div class="item-list-item">
+            <div>
+              <div class="item-name">${this.escapeHtml(change.name)} <span class="tree-link">${change.type}</span></div>
+              ${change.links.map(link => `
+                <div class="item-content rename-change">${this.escapeHtml(link.before)} → ${this.escapeHtml(link.after)}</div>
+              `).join('')}
+            </div>
+          </div>
+        `).join('')}
+      </div>
+      <div class="btn-group btn-group-right mt-2">
+        <button class="btn btn-secondary" onclick="app.${backAction}('${this.escapeHtml(plan.oldName)}')">Cancel</button>
+        <button class="btn btn-primary" onclick="app.applyRename('${plan.kind}', '${this.escapeHtml(plan.oldName)}', '${this.escapeHtml(plan.newName)}')">Apply Rename</button>
+      </div>
+    `;
+    
+    this.elements.modalBody.innerHTML = html;
+    this.showModal();
+  }
+
+  applyRename(kind, oldName, newName) {
+    this.socket.emit('applyRename', { kind, oldName, newName });
+  }
+
+  handleRenameApplied(data) {
+    this.currentData.prompts = data.prompts;
+    this.currentData.substitutes = data.substitutes;
+    if (data.systemInstructions !== null) {
+      this.currentData.systemInstructions = data.systemInstructions;
+    }
+    
+    const linkCount = data.changes.reduce((total, change) => total + change.links.length, 0);
+    this.showSuccess(`Renamed "${data.oldName}" to "${data.newName}"${linkCount > 0 ? `, updated ${linkCount} links` : ''}`);
+    if (data.kind === 'prompt') {
+      this.showPromptsUI(data.prompts);
+    } else {
+      this.showSubstitutesUI(data.substitutes);
+    }
+  }
+
+  // Version history: earlier versions of a prompt or substitute, compared with the saved one
+  showHistory(kind, name) {
+    this.socket.emit('getRevisions', { kind, name });
+  }
+
+  showHistoryUI(data) {
+    this.historyView = data;
+    const backAction = data.kind === 'prompt' ? 'editPrompt' : 'editSubstitute';
+    this.elements.modalTitle.textContent = `History: ${data.name}`;
+    
+    const html = data.revisions.length === 0
+      ? `<div class="form-group">No earlier versions yet. One is kept each time the ${data.kind} is saved.</div>`
+      : `
+        <div class="item-list revision-list">
+          ${data.revisions.map((revision, index) => `
+            <div class="item-list-item revision-item" id="revision-${index}" onclick="app.compareRevision(${index})">
+              <div>
+                <div class="item-name">${this.escapeHtml(new Date(revision.timestamp).toLocaleString())}</div>
+                <div class="item-content">Before it was ${revision.change} · ${revision.chars.toLocaleString()} characters</div>
+              </div>
+              <div class="item-actions">
+                <button class="btn btn-small btn-primary" onclick="event.stopPropagation(); app.restoreRevision(${index})">Restore</button>
+              </div>
+            </div>
+          `).join('')}
+        </div>
+        <div class="revision-diff" id="revision-diff"></div>
+      `;
+    
+    this.elements.modalBody.innerHTML = `
+      ${html}
+      <div class="btn-group btn-group-right mt-2">
+        <button class="btn btn-secondary" onclick="app.${backAction}('${this.escapeHtml(data.name)}')">Back</button>
+      </div>
+    `;
+    this.showModal();
+    
+    if (data.revisions.length > 0) {
+      this.compareRevision(0);
+    }
+  }
+
+  compareRevision(index) {
+    const { kind, name, revisions } = this.historyView;
+    document.querySelectorAll('.revision-item').forEach((item, i) => item.classList.toggle('selected', i === index));
+    this.socket.emit('compareRevision', { kind, name, timestamp: revisions[index].timestamp });
+  }
+
+  // Two columns, the chosen version on the left and the saved content on the right
+  showRevisionDiff(data) {
+    const container = document.getElementById('revision-diff');
+    if (!container || !this.historyView || this.historyView.name !== data.name) return;
+    
+    const cell = (line, text) => `
+      <td class="diff-line-number">${line === null ? '' : line}</td>
+      <td class="diff-text">${text === null ? '' : this.escapeHtml(text)}</td>
+    `;
+    
+    container.innerHTML = `
+      <table class="diff-table">
+        <thead>
+          <tr>
+            <th colspan="2">Version from ${this.escapeHtml(new Date(data.timestamp).toLocaleString())}</th>
+            <th colspan="2">${data.deleted ? 'Current (deleted)' : 'Current'}</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${data.rows.map(row => `
+            <tr class="diff-${row.type}">${cell(row.leftLine, row.left)}${cell(row.rightLine, row.right)}</tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  restoreRevision(index) {
+    const { kind, name, revisions } = this.historyView;
+    this.socket.emit('restoreRevision', { kind, name, timestamp: revisions[index].timestamp });
+  }
+
+  // The replaced content is kept as a revision too, so a restore can be undone from the same panel
+  handleRevisionRestored(data) {
+    const when = new Date(data.timestamp).toLocaleString();
+    if (data.kind === 'prompt') {
+      this.currentData.prompts = data.items;
+      this.editPrompt(data.name);
+    } else {
+      this.currentData.substitutes = data.items;
+      this.editSubstitute(data.name);
+    }
+    this.showSuccess(`Restored "${data.name}" to its version from ${when}`);
+  }
+
   // System settings methods
   saveSystemInstructions() {
     const instructions = document.getElementById('system-instructions').value;
@@ -842,14 +1643,38 @@ class PapyrusLiteApp {
     this.hideModal();
   }
 
-  saveRootPath() {
-    const rootPath = document.getElementById('root-path').value.trim();
-    if (!rootPath) {
-      this.showError('Root path is required');
+  saveRoots() {
+    this.readRootRows();
+    const roots = {};
+    for (const row of this.rootRows) {
+      if (!row.name || !row.path) {
+        this.showError('Every root needs a name and a folder path');
+        return;
+      }
+      if (roots[row.name] !== undefined) {
+        this.showError(`There are two roots named "${row.name}"`);
+        return;
+      }
+      roots[row.name] = row.path;
+    }
+    
+    const defaultRow = this.rootRows[this.defaultRootIndex];
+    this.savingRoots = true;
+    this.socket.emit('updateRoots', { roots, defaultRoot: defaultRow ? defaultRow.name : null });
+  }
+
+  saveSettings() {
+    let settings;
+    try {
+      settings = JSON.parse(document.getElementById('settings-json').value);
+    } catch (error) {
+      this.showError(`Invalid JSON: ${error.message}`);
       return;
     }
     
-    this.socket.emit('updateRootPath', rootPath);
+    // The modal stays open until the server accepts the settings, so a rejected value can be fixed
+    this.savingSettings = true;
+    this.socket.emit('updateSettings', settings);
   }
 
   // Preview methods
@@ -859,26 +1684,20 @@ class PapyrusLiteApp {
     
     if (this.isRendered) {
       // Switch to raw
+      this.hideSourceMap();
       content.innerHTML = this.escapeHtml(this.currentPreviewContent);
       content.classList.remove('preview-rendered');
       button.textContent = 'Render';
       this.isRendered = false;
     } else {
       // Process links and render
-      this.showLoading();
-      
-      // Set a timeout for link processing
-      this.linkTimeout = setTimeout(() => {
-        this.hideLoading();
-        this.showError('Link processing timed out. Please try again.');
-      }, 30000); // 30 second timeout for link processing
-      
-      this.socket.emit('processLinks', { content: this.currentPreviewContent });
-      button.textContent = 'Raw';
+      if (this.requestRender()) {
+        button.textContent = 'Raw';
+      }
     }
   }
 
-  updatePreviewContent(processedContent) {
+  updatePreviewContent(processedContent, spans = [], budget = this.currentBudget) {
     // Clear timeout if response received
     if (this.linkTimeout) {
       clearTimeout(this.linkTimeout);
@@ -892,6 +1711,195 @@ class PapyrusLiteApp {
       content.classList.add('preview-rendered');
       this.isRendered = true;
       this.currentProcessedContent = processedContent;
+      this.currentSourceSpans = spans;
+      this.currentBudget = budget;
+      this.hideSourceMap();
+      this.updateTokenCount();
+    }
+    
+    if (this.pendingSend) {
+      this.pendingSend = false;
+      if (this.confirmBudget()) {
+        this.showAIChat(processedContent);
+      }
+    }
+  }
+
+  // Estimated tokens for the rendered prompt plus system instructions, coloured near the limit
+  updateTokenCount() {
+    const button = document.getElementById('token-count');
+    const budget = this.currentBudget;
+    if (!button || !budget) return;
+    
+    button.textContent = `≈ ${budget.totalTokens.toLocaleString()} tokens`;
+    button.title = `${budget.percent}% of the ${budget.available.toLocaleString()} input tokens ${budget.model} allows. Click for a breakdown per link.`;
+    button.classList.toggle('token-warning', budget.level === 'warning');
+    button.classList.toggle('token-over', budget.level === 'over');
+    button.disabled = false;
+    
+    const panel = document.getElementById('token-breakdown');
+    if (panel && !panel.classList.contains('hidden')) {
+      panel.innerHTML = this.buildTokenBreakdownHtml(budget);
+    }
+  }
+
+  toggleTokenBreakdown() {
+    const panel = document.getElementById('token-breakdown');
+    if (!panel || !this.currentBudget) return;
+    
+    panel.classList.toggle('hidden');
+    if (!panel.classList.contains('hidden')) {
+      panel.innerHTML = this.buildTokenBreakdownHtml(this.currentBudget);
+    }
+  }
+
+  buildTokenBreakdownHtml(budget) {
+    const limit = budget.level === 'over'
+      ? `<div class="token-limit token-over">Over the limit by about ${(budget.totalTokens - budget.available).toLocaleString()} tokens. Narrow some links before sending.</div>`
+      : budget.level === 'warning'
+        ? `<div class="token-limit token-warning">Close to the limit: ${budget.percent}% of what ${this.escapeHtml(budget.model)} allows.</div>`
+        : '';
+    
+    return `
+      <div class="token-summary">
+        Prompt ≈ ${budget.promptTokens.toLocaleString()} · System instructions ≈ ${budget.systemTokens.toLocaleString()} ·
+        Total ≈ ${budget.totalTokens.toLocaleString()} of ${budget.available.toLocaleString()} (${budget.percent}%).
+        ${budget.reservedOutput.toLocaleString()} of the ${budget.contextWindow.toLocaleString()}-token context window are kept for the reply. Counts are estimates.
+      </div>
+      ${limit}
+      ${budget.breakdown.map(node => this.buildTokenNodeHtml(node, budget.totalTokens, 0)).join('')}
+    `;
+  }
+
+  buildTokenNodeHtml(node, total, depth) {
+    const share = total > 0 ? Math.round((node.tokens / total) * 100) : 0;
+    const row = `
+      <span class="token-node-label">${this.escapeHtml(this.describeSource(node.source))}</span>
+      <span class="token-node-size">${node.tokens.toLocaleString()} tokens · ${share}%</span>
+    `;
+    
+    if (node.children.length === 0) {
+      return `<div class="token-node token-leaf">${row}</div>`;
+    }
+    
+    const children = node.children.map(child => this.buildTokenNodeHtml(child, total, depth + 1)).join('');
+    return `<details class="token-node" ${depth === 0 ? 'open' : ''}><summary>${row}</summary>${children}</details>`;
+  }
+
+  // Ask before sending a render that is close to or over the model's context window
+  confirmBudget() {
+    const budget = this.currentBudget;
+    if (!this.isRendered || !budget || budget.level === 'ok') {
+      return true;
+    }
+    
+    const state = budget.level === 'over' ? 'is more than' : 'is close to';
+    return confirm(`With the system instructions this is about ${budget.totalTokens.toLocaleString()} tokens, which ${state} the ${budget.available.toLocaleString()} input tokens ${budget.model} allows (${budget.percent}%). Send anyway?`);
+  }
+
+  // Show the rendered text with every span from the source map outlined on hover
+  toggleSources() {
+    if (this.showingSources) {
+      this.updatePreviewContent(this.currentProcessedContent, this.currentSourceSpans);
+      return;
+    }
+    
+    if (!this.isRendered || this.currentProcessedContent === undefined) {
+      this.showError('Render the content first to see where it came from');
+      return;
+    }
+    
+    const content = document.getElementById('preview-content');
+    const info = document.getElementById('source-info');
+    content.innerHTML = this.buildSourceMapHtml(this.currentProcessedContent, this.currentSourceSpans);
+    content.classList.remove('preview-rendered');
+    content.classList.add('preview-sources');
+    info.classList.remove('hidden');
+    document.getElementById('sources-toggle').textContent = 'Rendered';
+    this.showingSources = true;
+    
+    content.onmouseover = (e) => {
+      const target = e.target.closest('.source-span');
+      content.querySelectorAll('.source-active').forEach(el => el.classList.remove('source-active'));
+      if (!target) return;
+      
+      target.classList.add('source-active');
+      const chain = [];
+      for (let el = target; el && el !== content; el = el.parentElement) {
+        if (el.classList.contains('source-span')) {
+          chain.unshift(this.describeSource(this.currentSourceSpans[el.dataset.span].source));
+        }
+      }
+      info.textContent = chain.join('  ›  ');
+    };
+  }
+
+  hideSourceMap() {
+    const content = document.getElementById('preview-content');
+    const info = document.getElementById('source-info');
+    const button = document.getElementById('sources-toggle');
+    if (content) {
+      content.classList.remove('preview-sources');
+      content.onmouseover = null;
+    }
+    if (info) info.classList.add('hidden');
+    if (button) button.textContent = 'Sources';
+    this.showingSources = false;
+  }
+
+  // Spans nest, so sorting outermost-first lets a stack open and close them in order
+  buildSourceMapHtml(text, spans) {
+    const sorted = spans
+      .map((span, index) => ({ ...span, index }))
+      .sort((a, b) => a.start - b.start || b.end - a.end);
+    const open = [];
+    let html = '';
+    let position = 0;
+    
+    const closeUntil = (offset) => {
+      while (open.length > 0 && open[open.length - 1].end <= offset) {
+        const span = open.pop();
+        html += this.escapeHtml(text.slice(position, span.end)) + '</span>';
+        position = span.end;
+      }
+    };
+    
+    for (const span of sorted) {
+      closeUntil(span.start);
+      html += this.escapeHtml(text.slice(position, span.start));
+      position = span.start;
+      html += `<span class="source-span" data-span="${span.index}">`;
+      open.push(span);
+    }
+    closeUntil(Infinity);
+    html += this.escapeHtml(text.slice(position));
+    
+    return html;
+  }
+
+  describeSource(source) {
+    const filters = source.filters ? ` | ${source.filters.join(' | ')}` : '';
+    switch (source.type) {
+      case 'prompt':
+        return `Prompt: ${source.name}`;
+      case 'input':
+        return 'Typed input';
+      case 'substitute': {
+        const args = Object.entries(source.args || {}).map(([key, value]) => `${key}=${value}`).join(' ');
+        return `Substitute: ${source.name}${args ? ` ${args}` : ''}${filters}`;
+      }
+      case 'file':
+        return `File: ${source.path} (lines ${source.lines[0]}-${source.lines[1]})${filters}`;
+      case 'folder':
+        return `Glob: ${source.pattern}${filters}`;
+      case 'dynamic':
+        return `Dynamic: ${source.name}${filters}`;
+      case 'git':
+        return `Git: ${source.name.slice('git:'.length)}${filters}`;
+      case 'error':
+        return `Error in {{${source.link}}}: ${source.message}`;
+      default:
+        return source.type;
     }
   }
 
@@ -905,6 +1913,15 @@ class PapyrusLiteApp {
   }
 
   sendToAI() {
+    // Re-render first so the latest fill-in values are what gets sent
+    if (this.currentVariables.length > 0) {
+      this.pendingSend = true;
+      this.requestRender();
+      return;
+    }
+    
+    if (!this.confirmBudget()) return;
+    
     const contentToSend = this.isRendered ? this.currentProcessedContent : this.currentPreviewContent;
     this.showAIChat(contentToSend);
   }
@@ -1063,21 +2080,49 @@ Available Commands:
 /subs - Manage substitutes for link replacement
 /system - Edit AI system instructions
 /ai-model - Select AI model (Claude 3.5 Sonnet or Claude 3 Haiku)
-/root - Set root folder path for file links
+/root - Manage the root folders file links resolve against
+/settings - Edit link and file settings
+/tree [name] - Show the dependency tree of a prompt or substitute
+/usages [name] - Show the prompts and substitutes that use a substitute or file
+/check - Check every prompt, substitute and the system instructions for link problems
+/export-bundle [names] - Export prompts, the substitutes they use and optionally the system instructions and model as one file
+/import-bundle - Import a bundle, choosing to skip, overwrite or rename each name that already exists
+/backup - Back up the data now
+/backups - List backups with their date and size
+/restore [id] - Restore a backup; the current data is backed up first
 /help - Show this help information
 
 Prompt Usage:
 - Type /[prompt-name] to preview and use any saved prompt
+- Pass arguments with /[prompt-name] key=value or by position: /summarize reports/q3.md
+- Add --send to go straight to the AI chat
 - Type any text with {{}} links to preview and process
 - Links can reference substitutes or file paths
-- File links are relative to the root folder path
+- File links are relative to the default root folder, or to a named one with {{name:path}}
 
 Link Syntax:
 {{filename.md}} - Include single file
+{{docs:design.md}} - Include a file from the root named docs (bare paths use the default root)
+{{filename.md#Heading}} - Include one section of a markdown file
+{{filename.txt:120-180}} - Include a range of lines
+{{filename.md:/^## TODO/,/^## /}} - Include the lines between two regex matches
 {{folder/*}} - Include all files from folder (sorted alphabetically)
+{{docs/**/*.md !docs/drafts/**}} - Include files matching globs, minus negated patterns
 {{substitute-name}} - Include substitute content
-
-Supported file types: .md, .txt
+{{link | head:50 | grep:ERROR}} - Filter included content (strip-frontmatter, head, tail, grep, grep-v, indent, collapse-whitespace, trim)
+{{src/app.js @fence}} / {{spec.md @xml}} - Wrap included content in a code fence or <document> tag
+{{@wrap:xml}} - Wrap every file this prompt includes
+\\{{literal}} or {{raw}}...{{/raw}} - Keep double braces as-is
+{{substitute-name key=value}} - Pass arguments, used as {{$key}} or {{$key=default}} in the substitute
+{{$file}} / {{$1}} - In a prompt, filled from the arguments typed after /[prompt-name]
+{{?topic}} / {{?audience: developers}} - Ask for a value when the prompt is previewed
+{{@date}} / {{@datetime}} - The current date, or date and time
+{{@env:NAME}} - An environment variable listed in allowedEnvVars (/settings)
+{{@tree:docs}} - A directory listing of a folder under the root
+{{@filelist:src/*.js}} - The paths a glob matches, without their content
+{{git:diff}} / {{git:diff main}} / {{git:log -n 10}} / {{git:show HEAD:path}} / {{git:status}} - Git output for the root folder
+
+Supported file types: see allowedExtensions in /settings (CSV renders as a table, JSON is pretty-printed)
 
 Keyboard Shortcuts:
 - Up/Down arrows: Navigate command history or autocomplete
@@ -1087,7 +2132,7 @@ Keyboard Shortcuts:
 
 Features:
 - Recursive link substitution
-- Folder wildcard inclusion with /*
+- Glob inclusion with folder/*, **, and !negations
 - AI chat with conversation history
 - Export content to .md files
 - Copy content to clipboard
@@ -1123,6 +2168,12 @@ Features:
     this.elements.loading.classList.add('hidden');
   }
 
+  // Damaged data files are reported on every connection, not as a toast that fades
+  showDataAlert(errors) {
+    this.elements.dataAlert.classList.toggle('hidden', errors.length === 0);
+    this.elements.dataAlert.innerHTML = errors.map(error => `<div>⚠ ${this.escapeHtml(error.message)}</div>`).join('');
+  }
+
   showError(message) {
     this.elements.errorMessage.textContent = message;
     this.elements.errorToast.classList.remove('hidden');
@@ -11,6 +11,14 @@ const DataManager = require('./src/DataManager');
 const LinkProcessor = require('./src/LinkProcessor');
 const AIService = require('./src/AIService');
 const FileWatcher = require('./src/FileWatcher');
+const LibraryWatcher = require('./src/LibraryWatcher');
+const ReferenceIndex = require('./src/ReferenceIndex');
+const Renamer = require('./src/Renamer');
+const Linter = require('./src/Linter');
+const TokenCounter = require('./src/TokenCounter');
+const RevisionHistory = require('./src/RevisionHistory');
+const BackupManager = require('./src/BackupManager');
+const BundleManager = require('./src/BundleManager');
 const Logger = require('./src/Logger');
 
 const app = express();
@@ -112,7 +120,8 @@ app.get('/health', (req, res) => {
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
     memory: process.memoryUsage(),
-    socketConnections: io.engine.clientsCount
+    socketConnections: io.engine.clientsCount,
+    linkCache: linkProcessor.getCacheStats()
   });
 });
 
@@ -121,6 +130,31 @@ const dataManager = new DataManager(logger);
 const linkProcessor = new LinkProcessor(dataManager, logger);
 const aiService = new AIService(logger);
 const fileWatcher = new FileWatcher(dataManager, logger);
+const libraryWatcher = new LibraryWatcher(logger);
+const referenceIndex = new ReferenceIndex(dataManager, linkProcessor, logger);
+const renamer = new Renamer(dataManager, linkProcessor, logger);
+const linter = new Linter(dataManager, linkProcessor, referenceIndex, logger);
+const tokenCounter = new TokenCounter(logger);
+const revisionHistory = new RevisionHistory(dataManager, logger);
+const backupManager = new BackupManager(dataManager, logger);
+const bundleManager = new BundleManager(dataManager, linkProcessor, logger);
+
+// Keep derived link data in step with every save, whichever handler made it
+dataManager.on('promptsSaved', () => referenceIndex.rebuild());
+dataManager.on('substitutesSaved', () => {
+  linkProcessor.invalidateSubstitutes();
+  referenceIndex.rebuild();
+});
+
+// Workspace link check, for scripts: GET /api/check returns the same report as /check
+app.get('/api/check', async (req, res) => {
+  try {
+    res.json(await linter.run());
+  } catch (error) {
+    logger.error('Workspace check error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
 // Socket.io connection handling
 io.on('connection', (socket) => {
@@ -131,14 +165,7 @@ io.on('connection', (socket) => {
   
   // Initialize client with current data - wrap in try/catch
   try {
-    socket.emit('init', {
-      prompts: dataManager.getPrompts(),
-      substitutes: dataManager.getSubstitutes(),
-      systemInstructions: dataManager.getSystemInstructions(),
-      aiModel: dataManager.getAIModel(),
-      rootPath: dataManager.getRootPath(),
-      history: dataManager.getHistory()
-    });
+    socket.emit('init', getClientData());
   } catch (error) {
     logger.error(`Error sending init data to ${socket.id}:`, error);
   }
@@ -223,17 +250,44 @@ io.on('connection', (socket) => {
     }
   });
 
-  socket.on('updateRootPath', (rootPath) => {
+  // Replace the whole set of roots: { roots: { name: path }, defaultRoot }
+  socket.on('updateRoots', ({ roots, defaultRoot }) => {
+    try {
+      for (const [name, rootPath] of Object.entries(roots)) {
+        if (!fs.existsSync(rootPath) || !fs.statSync(rootPath).isDirectory()) {
+          throw new Error(`Root "${name}" is not an existing folder: ${rootPath}`);
+        }
+      }
+      dataManager.saveRoots(roots, defaultRoot);
+      fileWatcher.updateRoots(resolveRoots(dataManager.getRoots()));
+      linkProcessor.clearCache();
+      referenceIndex.rebuild();
+      io.emit('rootsUpdated', { roots: dataManager.getRoots(), defaultRoot: dataManager.getDefaultRoot() });
+      logger.info(`Roots updated: ${Object.keys(roots).join(', ') || '(none)'}`);
+    } catch (error) {
+      logger.error('Error updating roots:', error);
+      socket.emit('error', { message: error.message });
+    }
+  });
+
+  socket.on('updateSettings', (settings) => {
     try {
-      if (!fs.existsSync(rootPath)) {
-        throw new Error('Root path does not exist');
+      const previousLibrary = dataManager.getLibraryDir();
+      dataManager.saveSettings(settings);
+      if (dataManager.getLibraryDir() !== previousLibrary) {
+        libraryWatcher.start(dataManager.getLibraryDir());
+        io.emit('promptsUpdated', dataManager.getPrompts());
+        io.emit('substitutesUpdated', dataManager.getSubstitutes());
       }
-      dataManager.saveRootPath(rootPath);
-      fileWatcher.updateRootPath(rootPath);
-      socket.broadcast.emit('rootPathUpdated', rootPath);
-      logger.info(`Root path updated to: ${rootPath}`);
+      fileWatcher.refresh();
+      backupManager.schedule();
+      linkProcessor.clearCache();
+      referenceIndex.rebuild();
+      const saved = dataManager.getSettings();
+      io.emit('settingsUpdated', saved);
+      logger.info('Settings updated');
     } catch (error) {
-      logger.error('Error updating root path:', error);
+      logger.error('Error updating settings:', error);
       socket.emit('error', { message: error.message });
     }
   });
@@ -284,12 +338,134 @@ io.on('connection', (socket) => {
     }
   });
 
+  // Renames: preview the rewritten links first, then apply
+  socket.on('previewRename', (data) => {
+    try {
+      const { result, ...preview } = renamer.plan(data.kind, data.oldName, data.newName);
+      socket.emit('renamePreview', preview);
+    } catch (error) {
+      logger.error('Rename preview error:', error);
+      socket.emit('error', { message: error.message });
+    }
+  });
+
+  socket.on('applyRename', (data) => {
+    try {
+      const { result, ...applied } = renamer.apply(data.kind, data.oldName, data.newName);
+      socket.emit('renameApplied', { ...applied, ...result });
+      socket.broadcast.emit('promptsUpdated', result.prompts);
+      socket.broadcast.emit('substitutesUpdated', result.substitutes);
+      if (result.systemInstructions !== null) {
+        socket.broadcast.emit('systemInstructionsUpdated', result.systemInstructions);
+      }
+    } catch (error) {
+      logger.error('Rename error:', error);
+      socket.emit('error', { message: error.message });
+    }
+  });
+
+  // Version history of a prompt or substitute: list, compare with the current content, restore
+  socket.on('getRevisions', (data) => {
+    try {
+      const revisions = revisionHistory.list(data.kind, data.name);
+      socket.emit('revisionsResult', { kind: data.kind, name: data.name, revisions });
+    } catch (error) {
+      logger.error('Revision lookup error:', error);
+      socket.emit('error', { message: error.message });
+    }
+  });
+
+  socket.on('compareRevision', (data) => {
+    try {
+      socket.emit('revisionDiff', revisionHistory.compare(data.kind, data.name, data.timestamp));
+    } catch (error) {
+      logger.error('Revision compare error:', error);
+      socket.emit('error', { message: error.message });
+    }
+  });
+
+  socket.on('restoreRevision', (data) => {
+    try {
+      const saved = revisionHistory.restore(data.kind, data.name, data.timestamp);
+      socket.emit('revisionRestored', { kind: data.kind, name: data.name, timestamp: data.timestamp, items: saved });
+      socket.broadcast.emit(data.kind === 'prompt' ? 'promptsUpdated' : 'substitutesUpdated', saved);
+    } catch (error) {
+      logger.error('Revision restore error:', error);
+      socket.emit('error', { message: error.message });
+    }
+  });
+
+  // Bundles: export the chosen prompts with their substitutes; preview an import, then apply it
+  socket.on('exportBundle', (data) => {
+    try {
+      const bundle = bundleManager.createBundle(data);
+      socket.emit('bundleExported', { bundle });
+    } catch (error) {
+      logger.error('Bundle export error:', error);
+      socket.emit('error', { message: error.message });
+    }
+  });
+
+  socket.on('previewImport', (data) => {
+    try {
+      socket.emit('importPreview', bundleManager.planImport(data.bundle));
+    } catch (error) {
+      logger.error('Bundle preview error:', error);
+      socket.emit('error', { message: error.message });
+    }
+  });
+
+  socket.on('applyImport', (data) => {
+    try {
+      backupManager.createBackup('pre-import');
+      const summary = bundleManager.applyImport(data.bundle, data);
+      socket.emit('importApplied', { summary, ...getClientData() });
+      socket.broadcast.emit('promptsUpdated', dataManager.getPrompts());
+      socket.broadcast.emit('substitutesUpdated', dataManager.getSubstitutes());
+      socket.broadcast.emit('systemInstructionsUpdated', dataManager.getSystemInstructions());
+      socket.broadcast.emit('aiModelUpdated', dataManager.getAIModel());
+    } catch (error) {
+      logger.error('Bundle import error:', error);
+      socket.emit('error', { message: error.message });
+    }
+  });
+
+  // Reverse dependencies, e.g. before deleting a substitute
+  socket.on('getUsages', async (data) => {
+    try {
+      const usages = await referenceIndex.getUsages(data.name);
+      socket.emit('usagesResult', { name: data.name, usages });
+    } catch (error) {
+      logger.error('Usages lookup error:', error);
+      socket.emit('error', { message: error.message });
+    }
+  });
+
   // Link processing
   socket.on('processLinks', async (data) => {
     try {
-      const { content } = data;
-      const processed = await linkProcessor.processLinks(content);
-      socket.emit('linksProcessed', { processed });
+      const { name, values } = data;
+      let { content } = data;
+      
+      // Fill-in variables are replaced before any link is resolved
+      if (values) {
+        if (name) {
+          dataManager.savePromptValues(name, values);
+        }
+        content = linkProcessor.fillVariables(content, values);
+      }
+      
+      const rootSource = name ? { type: 'prompt', name } : { type: 'input', name: null };
+      const { processed, spans } = await linkProcessor.processLinksWithSourceMap(content, rootSource);
+      
+      // Estimated tokens for what sendToAI would send, against the selected model's window
+      const model = dataManager.getAIModel();
+      const budget = tokenCounter.budget(processed, spans, dataManager.getSystemInstructions(), {
+        model,
+        ...aiService.getContextLimits(model),
+        warningPercent: dataManager.getSettings().contextWarningPercent
+      });
+      socket.emit('linksProcessed', { processed, spans, budget });
     } catch (error) {
       logger.error('Link processing error:', error);
       socket.emit('error', { message: error.message });
@@ -352,43 +528,189 @@ async function handleCommand(command, args, socket) {
       return { 
         type: 'ui', 
         component: 'root', 
-        data: dataManager.getRootPath() 
+        data: { roots: dataManager.getRoots(), defaultRoot: dataManager.getDefaultRoot() }
+      };
+    
+    case 'settings':
+      return { 
+        type: 'ui', 
+        component: 'settings', 
+        data: dataManager.getSettings() 
+      };
+    
+    case 'tree':
+      if (!args || args.length === 0) {
+        throw new Error('Usage: /tree <prompt-or-substitute>');
+      }
+      return {
+        type: 'ui',
+        component: 'tree',
+        data: await linkProcessor.getItemDependencyTree(args.join(' '))
+      };
+    
+    case 'check':
+      return {
+        type: 'ui',
+        component: 'check',
+        data: await linter.run()
       };
     
+    case 'usages':
+      if (!args || args.length === 0) {
+        throw new Error('Usage: /usages <substitute-or-file>');
+      }
+      return {
+        type: 'ui',
+        component: 'usages',
+        data: await referenceIndex.getUsages(args.join(' '))
+      };
+    
+    case 'backup': {
+      const backup = backupManager.createBackup('manual');
+      return { type: 'message', message: `Backup ${backup.id} created (${backup.files} files). Restore it with /restore ${backup.id}` };
+    }
+    
+    case 'export-bundle': {
+      // Prompts named after the command start out selected; otherwise all of them are
+      const prompts = Object.keys(dataManager.getPrompts());
+      const selected = args && args.length > 0 ? args : prompts;
+      const missing = selected.filter(name => !prompts.includes(name));
+      if (missing.length > 0) {
+        throw new Error(`No prompt named ${missing.map(name => `"${name}"`).join(', ')}`);
+      }
+      return {
+        type: 'ui',
+        component: 'exportBundle',
+        data: { prompts, selected }
+      };
+    }
+    
+    case 'import-bundle':
+      return {
+        type: 'ui',
+        component: 'importBundle',
+        data: {}
+      };
+    
+    case 'backups':
+      return {
+        type: 'ui',
+        component: 'backups',
+        data: backupManager.listBackups()
+      };
+    
+    case 'restore': {
+      if (!args || args.length === 0) {
+        throw new Error('Usage: /restore <backup-id>. Use /backups to list them.');
+      }
+      const { restored, safety } = backupManager.restoreBackup(args[0]);
+      
+      // Everything may have changed, so derived state and every client start over
+      fileWatcher.updateRoots(resolveRoots(dataManager.getRoots()));
+      libraryWatcher.start(dataManager.getLibraryDir());
+      backupManager.schedule();
+      linkProcessor.clearCache();
+      referenceIndex.rebuild();
+      io.emit('dataRestored', { ...getClientData(), backupId: restored.id });
+      
+      return { type: 'message', message: `Restored backup ${restored.id}. The state before it was saved as backup ${safety.id}.` };
+    }
+    
     default:
       // Check if it's a prompt name
       const prompts = dataManager.getPrompts();
       if (prompts[command]) {
+        // Typed arguments fill {{$name}} / {{$1}} placeholders; --send goes straight to the AI
+        const { named, positional, flags } = linkProcessor.parseCommandArguments(args ? args.join(' ') : '');
+        const unknownFlags = flags.filter(flag => flag !== 'send');
+        if (unknownFlags.length > 0) {
+          throw new Error(`Unknown option --${unknownFlags[0]}. The only option is --send.`);
+        }
+
+        const content = linkProcessor.bindPromptArguments(prompts[command], named, positional, command);
         return {
           type: 'ui',
           component: 'promptPreview',
           data: {
             name: command,
-            content: prompts[command],
-            isPrompt: true
+            content,
+            isPrompt: true,
+            send: flags.includes('send'),
+            variables: linkProcessor.extractVariables(content),
+            values: dataManager.getPromptValues(command)
           }
         };
       }
       
       // Treat as raw content with potential links
+      const rawContent = command + (args ? ' ' + args.join(' ') : '');
       return {
         type: 'ui',
         component: 'promptPreview',
         data: {
           name: 'Raw Input',
-          content: command + (args ? ' ' + args.join(' ') : ''),
-          isPrompt: false
+          content: rawContent,
+          isPrompt: false,
+          variables: linkProcessor.extractVariables(rawContent),
+          values: {}
         }
       };
   }
 }
 
+// Everything a client needs to start, sent on connect and again after a restore
+function getClientData() {
+  return {
+    prompts: dataManager.getPrompts(),
+    substitutes: dataManager.getSubstitutes(),
+    systemInstructions: dataManager.getSystemInstructions(),
+    aiModel: dataManager.getAIModel(),
+    roots: dataManager.getRoots(),
+    defaultRoot: dataManager.getDefaultRoot(),
+    settings: dataManager.getSettings(),
+    history: dataManager.getHistory(),
+    dataErrors: dataManager.getLoadErrors()
+  };
+}
+
+// Absolute paths of the roots that exist, for the file watcher
+function resolveRoots(roots) {
+  const resolved = {};
+  for (const [name, rootPath] of Object.entries(roots)) {
+    const resolvedPath = path.isAbsolute(rootPath) ? rootPath : path.join(__dirname, rootPath);
+    if (fs.existsSync(resolvedPath)) {
+      resolved[name] = resolvedPath;
+    } else {
+      logger.warn(`Root "${name}" does not exist: ${rootPath} (resolved: ${resolvedPath})`);
+    }
+  }
+  return resolved;
+}
+
 // File watcher setup
 fileWatcher.on('fileChanged', (filePath) => {
+  linkProcessor.invalidateFile(filePath);
+  referenceIndex.rebuild();
   io.emit('fileChanged', { filePath });
   logger.info(`File changed: ${filePath}`);
 });
 
+// Library edits made outside the app; saves from the app itself reload as unchanged
+libraryWatcher.on('libraryChanged', (kind) => {
+  try {
+    if (!dataManager.reloadLibrary(kind)) {
+      return;
+    }
+    if (kind === 'prompt') {
+      io.emit('promptsUpdated', dataManager.getPrompts());
+    } else {
+      io.emit('substitutesUpdated', dataManager.getSubstitutes());
+    }
+  } catch (error) {
+    logger.error(`Error reloading ${kind} library:`, error);
+  }
+});
+
 // Error handling
 process.on('uncaughtException', (error) => {
   logger.error('Uncaught Exception:', error);
@@ -414,17 +736,19 @@ server.listen(PORT, () => {
   logger.info(`Access at: http://localhost:${PORT}`);
   logger.info(`External access: dev.jimboslice.xyz`);
   
-  // Initialize file watcher if root path is set
-  const rootPath = dataManager.getRootPath();
-  if (rootPath) {
-    const resolvedPath = path.isAbsolute(rootPath) ? rootPath : path.join(__dirname, rootPath);
-    if (fs.existsSync(resolvedPath)) {
-      fileWatcher.updateRootPath(resolvedPath);
-      logger.info(`File watcher initialized for: ${rootPath} (resolved: ${resolvedPath})`);
-    } else {
-      logger.warn(`Root path does not exist: ${rootPath} (resolved: ${resolvedPath})`);
-    }
+  // Initialize file watchers for the root folders that exist
+  fileWatcher.updateRoots(resolveRoots(dataManager.getRoots()));
+  libraryWatcher.start(dataManager.getLibraryDir());
+  
+  // Snapshot the data as it was at startup, then on the backup interval
+  try {
+    backupManager.createBackup('startup');
+  } catch (error) {
+    logger.error('Startup backup failed:', error);
   }
+  backupManager.schedule();
+  
+  referenceIndex.rebuild();
 });
 
 module.exports = { app, server, io };
@@ -1,5 +1,8 @@
 const Anthropic = require('@anthropic-ai/sdk');
 
+// Tokens kept for the reply; the prompt and system instructions share the rest of the context window
+const MAX_OUTPUT_TOKENS = 4096;
+
 class AIService {
   constructor(logger) {
     this.logger = logger;
@@ -29,7 +32,7 @@ class AIService {
 
       const requestParams = {
         model: model,
-        max_tokens: 4096,
+        max_tokens: MAX_OUTPUT_TOKENS,
         messages: messages
       };
 
@@ -91,7 +94,7 @@ class AIService {
 
       const requestParams = {
         model: model,
-        max_tokens: 4096,
+        max_tokens: MAX_OUTPUT_TOKENS,
         messages: messages,
         stream: true
       };
@@ -159,15 +162,26 @@ class AIService {
       {
         id: 'claude-3-5-sonnet-20241022',
         name: 'Claude 3.5 Sonnet',
-        description: 'Most capable model, best for complex tasks'
+        description: 'Most capable model, best for complex tasks',
+        contextWindow: 200000
       },
       {
         id: 'claude-3-haiku-20240307',
         name: 'Claude 3 Haiku',
-        description: 'Fast and efficient, good for simple tasks'
+        description: 'Fast and efficient, good for simple tasks',
+        contextWindow: 200000
       }
     ];
   }
+
+  // Context window of a model and the part of it kept for the reply
+  getContextLimits(model) {
+    const known = this.getAvailableModels().find(candidate => candidate.id === model);
+    return {
+      contextWindow: known ? known.contextWindow : 200000,
+      reservedOutput: MAX_OUTPUT_TOKENS
+    };
+  }
 }
 
 module.exports = AIService;
@@ -0,0 +1,217 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// Written last, so a snapshot interrupted halfway has no manifest and is never listed
+const MANIFEST = 'backup.json';
+
+// The longest delay setInterval takes; above it Node runs the timer every millisecond
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+// Snapshots of the data directory in data/backups/<id>, taken on startup, every
+// backupIntervalMinutes while the data keeps changing, with /backup, and before a restore.
+// In library mode the prompt and substitute files are included under library/.
+// Retention keeps the newest backupKeepLast snapshots and, before those, the newest one
+// of each of the previous backupKeepDaily days; anything older is deleted.
+class BackupManager {
+  constructor(dataManager, logger) {
+    this.dataManager = dataManager;
+    this.logger = logger;
+    this.backupDir = path.join(dataManager.dataDir, 'backups');
+    this.timer = null;
+  }
+
+  // (Re)start the interval timer, e.g. after backupIntervalMinutes changes
+  schedule() {
+    this.stop();
+    const { backupIntervalMinutes } = this.dataManager.getSettings();
+    // Settings edited by hand are not validated, so the delay is capped here as well
+    this.timer = setInterval(() => this.runScheduled(), Math.min(backupIntervalMinutes * 60 * 1000, MAX_TIMER_MS));
+    this.timer.unref();
+    this.logger.debug(`Backups scheduled every ${backupIntervalMinutes} minutes`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Interval snapshots are skipped while nothing has changed since the last one
+  runScheduled() {
+    try {
+      const latest = this.listBackups()[0];
+      if (latest && this.getLastChange() <= new Date(latest.createdAt).getTime()) {
+        this.logger.debug('No data changes since the last backup, skipping');
+        return;
+      }
+      this.createBackup('interval');
+    } catch (error) {
+      this.logger.error('Scheduled backup failed:', error);
+    }
+  }
+
+  // The data files themselves, without backups, temp files or .bak copies
+  getDataFiles() {
+    return fs.readdirSync(this.dataManager.dataDir, { withFileTypes: true })
+      .filter(entry => entry.isFile() && entry.name.endsWith('.json'))
+      .map(entry => entry.name);
+  }
+
+  getLibraryFiles(libraryDir) {
+    const files = [];
+    for (const folder of ['prompts', 'subs']) {
+      const folderPath = path.join(libraryDir, folder);
+      if (fs.existsSync(folderPath)) {
+        files.push(...fs.readdirSync(folderPath).filter(name => name.endsWith('.md')).map(name => path.join(folder, name)));
+      }
+    }
+    return files;
+  }
+
+  getLastChange() {
+    const libraryDir = this.dataManager.getLibraryDir();
+    const paths = [
+      ...this.getDataFiles().map(file => path.join(this.dataManager.dataDir, file)),
+      ...(libraryDir ? this.getLibraryFiles(libraryDir).map(file => path.join(libraryDir, file)) : [])
+    ];
+    return Math.max(0, ...paths.map(filePath => fs.statSync(filePath).mtimeMs));
+  }
+
+  // reason is startup, interval, manual, pre-restore or pre-import. Returns the new backup's listing.
+  createBackup(reason, { prune = true } = {}) {
+    const createdAt = new Date();
+    const baseId = createdAt.toISOString().replace(/[:.]/g, '-');
+    let id = baseId;
+    for (let n = 2; fs.existsSync(path.join(this.backupDir, id)); n++) {
+      id = `${baseId}-${n}`;
+    }
+    const dir = path.join(this.backupDir, id);
+
+    try {
+      fs.ensureDirSync(dir);
+      const files = this.getDataFiles();
+      for (const file of files) {
+        fs.copyFileSync(path.join(this.dataManager.dataDir, file), path.join(dir, file));
+      }
+
+      const libraryDir = this.dataManager.getLibraryDir();
+      const libraryFiles = libraryDir ? this.getLibraryFiles(libraryDir) : [];
+      for (const file of libraryFiles) {
+        fs.copySync(path.join(libraryDir, file), path.join(dir, 'library', file));
+      }
+
+      const manifest = { id, createdAt: createdAt.toISOString(), reason, files, libraryFiles };
+      fs.writeFileSync(path.join(dir, MANIFEST), JSON.stringify(manifest, null, 2), 'utf8');
+      this.logger.info(`Backup created (${reason}): ${id}`);
+    } catch (error) {
+      this.logger.error('Backup failed:', error);
+      fs.removeSync(dir);
+      throw error;
+    }
+
+    if (prune) {
+      this.pruneBackups();
+    }
+    return this.describe(id);
+  }
+
+  // Newest first: [{ id, createdAt, reason, files, size }]
+  listBackups() {
+    if (!fs.existsSync(this.backupDir)) {
+      return [];
+    }
+
+    return fs.readdirSync(this.backupDir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory() && fs.existsSync(path.join(this.backupDir, entry.name, MANIFEST)))
+      .map(entry => this.describe(entry.name))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt) || b.id.localeCompare(a.id));
+  }
+
+  describe(id) {
+    const manifest = this.readManifest(id);
+    return {
+      id,
+      createdAt: manifest.createdAt,
+      reason: manifest.reason,
+      files: manifest.files.length + manifest.libraryFiles.length,
+      size: this.getSize(path.join(this.backupDir, id))
+    };
+  }
+
+  readManifest(id) {
+    const manifestPath = path.join(this.backupDir, id || '', MANIFEST);
+    if (!/^[\w-]+$/.test(id || '') || !fs.existsSync(manifestPath)) {
+      throw new Error(`No backup with id "${id}". Use /backups to list them.`);
+    }
+    return fs.readJsonSync(manifestPath);
+  }
+
+  getSize(dir) {
+    return fs.readdirSync(dir, { withFileTypes: true }).reduce((total, entry) => {
+      const entryPath = path.join(dir, entry.name);
+      return total + (entry.isDirectory() ? this.getSize(entryPath) : fs.statSync(entryPath).size);
+    }, 0);
+  }
+
+  pruneBackups() {
+    const { backupKeepLast, backupKeepDaily } = this.dataManager.getSettings();
+    const backups = this.listBackups();
+    const keep = new Set(backups.slice(0, backupKeepLast).map(backup => backup.id));
+    const days = new Set();
+
+    for (const backup of backups.slice(backupKeepLast)) {
+      const day = new Date(backup.createdAt).toDateString();
+      if (!days.has(day) && days.size < backupKeepDaily) {
+        days.add(day);
+        keep.add(backup.id);
+      }
+    }
+
+    const removed = backups.filter(backup => !keep.has(backup.id));
+    for (const backup of removed) {
+      fs.removeSync(path.join(this.backupDir, backup.id));
+    }
+    if (removed.length > 0) {
+      this.logger.info(`Removed ${removed.length} old backups`);
+    }
+  }
+
+  // Replaces the data files (and library files) with the snapshot's and reloads them.
+  // The current state is saved first, so the restore itself can be undone with /restore.
+  restoreBackup(id) {
+    const manifest = this.readManifest(id);
+    const dir = path.join(this.backupDir, id);
+    // Not pruned yet: the new snapshot could push the one being restored out of retention
+    const safety = this.createBackup('pre-restore', { prune: false });
+
+    const dataDir = this.dataManager.dataDir;
+    for (const file of this.getDataFiles().filter(name => !manifest.files.includes(name))) {
+      fs.removeSync(path.join(dataDir, file));
+    }
+    for (const file of manifest.files) {
+      fs.copyFileSync(path.join(dir, file), path.join(dataDir, `${file}.tmp`));
+      fs.renameSync(path.join(dataDir, `${file}.tmp`), path.join(dataDir, file));
+    }
+    this.dataManager.reload();
+
+    // Library files go back into the library the restored settings name
+    const libraryDir = this.dataManager.getLibraryDir();
+    if (libraryDir && manifest.libraryFiles.length > 0) {
+      for (const file of this.getLibraryFiles(libraryDir).filter(name => !manifest.libraryFiles.includes(name))) {
+        fs.removeSync(path.join(libraryDir, file));
+      }
+      for (const file of manifest.libraryFiles) {
+        fs.copySync(path.join(dir, 'library', file), path.join(libraryDir, file));
+      }
+      this.dataManager.reload();
+    }
+
+    const restored = this.describe(id);
+    this.pruneBackups();
+    this.logger.info(`Restored backup ${id}; the previous state is backup ${safety.id}`);
+    return { restored, safety };
+  }
+}
+
+module.exports = BackupManager;
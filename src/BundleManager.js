@@ -0,0 +1,189 @@
+// Bundles move a set of prompts between installations as one JSON file:
+//   { format, formatVersion, exportedAt, prompts, substitutes, systemInstructions?, aiModel? }
+// An export includes the chosen prompts and every substitute they reach, directly or through
+// other substitutes. File links are kept as they are; the files themselves are not included.
+// An import is previewed first; each name that already exists with different content is
+// skipped, overwritten or imported under a new name, and links to it are rewritten to match.
+
+const BUNDLE_FORMAT = 'papyrus-lite-bundle';
+const BUNDLE_FORMAT_VERSION = 1;
+
+class BundleManager {
+  constructor(dataManager, linkProcessor, logger) {
+    this.dataManager = dataManager;
+    this.linkProcessor = linkProcessor;
+    this.logger = logger;
+  }
+
+  createBundle({ prompts: names = [], includeSystem = false, includeModel = false }) {
+    const prompts = this.dataManager.getPrompts();
+    const missing = names.filter(name => !Object.prototype.hasOwnProperty.call(prompts, name));
+    if (missing.length > 0) {
+      throw new Error(`No prompt named ${missing.map(name => `"${name}"`).join(', ')}`);
+    }
+    if (names.length === 0 && !includeSystem) {
+      throw new Error('Choose at least one prompt or the system instructions to export');
+    }
+
+    const bundle = {
+      format: BUNDLE_FORMAT,
+      formatVersion: BUNDLE_FORMAT_VERSION,
+      exportedAt: new Date().toISOString(),
+      prompts: Object.fromEntries(names.map(name => [name, prompts[name]])),
+      substitutes: {}
+    };
+    const roots = Object.values(bundle.prompts);
+    if (includeSystem) {
+      bundle.systemInstructions = this.dataManager.getSystemInstructions();
+      roots.push(bundle.systemInstructions);
+    }
+    if (includeModel) {
+      bundle.aiModel = this.dataManager.getAIModel();
+    }
+    bundle.substitutes = this.collectSubstitutes(roots);
+
+    this.logger.info(`Exported bundle: ${names.length} prompts, ${Object.keys(bundle.substitutes).length} substitutes`);
+    return bundle;
+  }
+
+  // Every substitute the contents link to, following links inside substitutes too
+  collectSubstitutes(contents) {
+    const substitutes = this.dataManager.getSubstitutes();
+    const collected = {};
+    const queue = [...contents];
+
+    while (queue.length > 0) {
+      for (const link of this.linkProcessor.extractLinks(queue.shift())) {
+        const name = this.linkProcessor.getSubstituteName(this.linkProcessor.getLinkTarget(link.content), substitutes);
+        if (name !== null && !Object.prototype.hasOwnProperty.call(collected, name)) {
+          collected[name] = substitutes[name];
+          queue.push(substitutes[name]);
+        }
+      }
+    }
+
+    return Object.fromEntries(Object.keys(collected).sort().map(name => [name, collected[name]]));
+  }
+
+  validateBundle(bundle) {
+    if (!bundle || typeof bundle !== 'object' || bundle.format !== BUNDLE_FORMAT) {
+      throw new Error('Not a Papyrus Lite bundle');
+    }
+    if (bundle.formatVersion > BUNDLE_FORMAT_VERSION) {
+      throw new Error(`The bundle was made by a newer version of Papyrus Lite (format ${bundle.formatVersion})`);
+    }
+    for (const key of ['prompts', 'substitutes']) {
+      const items = bundle[key];
+      if (!items || typeof items !== 'object' || Array.isArray(items) || !Object.values(items).every(value => typeof value === 'string')) {
+        throw new Error(`The bundle's ${key} must map names to text`);
+      }
+    }
+    if (bundle.systemInstructions !== undefined && typeof bundle.systemInstructions !== 'string') {
+      throw new Error("The bundle's system instructions must be text");
+    }
+  }
+
+  // What importing would do, without saving: items are { kind, name, status } where status
+  // is new, same (already there with the same content) or conflict
+  planImport(bundle) {
+    this.validateBundle(bundle);
+    const existing = { prompt: this.dataManager.getPrompts(), substitute: this.dataManager.getSubstitutes() };
+
+    const items = [];
+    for (const [kind, key] of [['prompt', 'prompts'], ['substitute', 'substitutes']]) {
+      for (const [name, content] of Object.entries(bundle[key])) {
+        const status = !Object.prototype.hasOwnProperty.call(existing[kind], name)
+          ? 'new'
+          : existing[kind][name] === content ? 'same' : 'conflict';
+        items.push({ kind, name, status });
+      }
+    }
+
+    return {
+      exportedAt: bundle.exportedAt || null,
+      items,
+      systemInstructions: bundle.systemInstructions !== undefined && bundle.systemInstructions !== this.dataManager.getSystemInstructions(),
+      aiModel: bundle.aiModel !== undefined && bundle.aiModel !== this.dataManager.getAIModel() ? bundle.aiModel : null
+    };
+  }
+
+  // resolutions maps "kind:name" to skip, overwrite or rename for each conflict; unresolved
+  // conflicts are skipped. Returns what was done: { added, overwritten, renamed, skipped, ... }
+  applyImport(bundle, { resolutions = {}, importSystem = false, importModel = false }) {
+    const plan = this.planImport(bundle);
+    const prompts = this.dataManager.getPrompts();
+    const substitutes = this.dataManager.getSubstitutes();
+    // Only new and conflicting items are imported; ones already here unchanged are left alone,
+    // so a rename below never rewrites links in local items the preview said would not change
+    const bundleItems = { prompt: bundle.prompts, substitute: bundle.substitutes };
+    let incoming = { prompt: {}, substitute: {}, system: bundle.systemInstructions === undefined ? null : bundle.systemInstructions };
+    for (const item of plan.items.filter(candidate => candidate.status !== 'same')) {
+      incoming[item.kind][item.name] = bundleItems[item.kind][item.name];
+    }
+    const summary = { added: [], overwritten: [], renamed: [], skipped: [], systemInstructions: false, aiModel: null };
+
+    for (const item of plan.items.filter(candidate => candidate.status === 'conflict')) {
+      const resolution = resolutions[`${item.kind}:${item.name}`] || 'skip';
+      if (!['skip', 'overwrite', 'rename'].includes(resolution)) {
+        throw new Error(`Unknown choice "${resolution}" for ${item.kind} "${item.name}". Use skip, overwrite or rename.`);
+      }
+      if (resolution === 'rename') {
+        const newName = this.getFreeName(item.name, { ...(item.kind === 'prompt' ? prompts : substitutes), ...bundleItems[item.kind], ...incoming[item.kind] });
+        incoming = this.renameIncoming(incoming, item.kind, item.name, newName);
+        summary.renamed.push({ kind: item.kind, from: item.name, to: newName });
+      } else if (resolution === 'skip') {
+        delete incoming[item.kind][item.name];
+        summary.skipped.push({ kind: item.kind, name: item.name });
+      } else {
+        summary.overwritten.push({ kind: item.kind, name: item.name });
+      }
+    }
+
+    for (const item of plan.items.filter(candidate => candidate.status === 'new')) {
+      summary.added.push({ kind: item.kind, name: item.name });
+    }
+    summary.added.push(...summary.renamed.map(rename => ({ kind: rename.kind, name: rename.to })));
+
+    this.dataManager.savePromptsAndSubstitutes({ ...prompts, ...incoming.prompt }, { ...substitutes, ...incoming.substitute });
+    if (importSystem && plan.systemInstructions) {
+      this.dataManager.saveSystemInstructions(incoming.system);
+      summary.systemInstructions = true;
+    }
+    if (importModel && plan.aiModel) {
+      this.dataManager.saveAIModel(plan.aiModel);
+      summary.aiModel = plan.aiModel;
+    }
+
+    this.logger.info(`Imported bundle: ${summary.added.length} added, ${summary.overwritten.length} overwritten, ${summary.skipped.length} skipped`);
+    return summary;
+  }
+
+  // "review" -> "review-imported", then "review-imported-2" and so on
+  getFreeName(name, taken) {
+    let candidate = `${name}-imported`;
+    for (let n = 2; Object.prototype.hasOwnProperty.call(taken, candidate); n++) {
+      candidate = `${name}-imported-${n}`;
+    }
+    return candidate;
+  }
+
+  // A renamed substitute keeps working for the imported items, and the imported system
+  // instructions, that link to it. Local items are never rewritten.
+  renameIncoming(incoming, kind, oldName, newName) {
+    const renameKey = (items) => Object.fromEntries(Object.entries(items).map(([name, content]) => [name === oldName ? newName : name, content]));
+    if (kind === 'prompt') {
+      return { ...incoming, prompt: renameKey(incoming.prompt) };
+    }
+
+    const substitutes = renameKey(incoming.substitute);
+    const rewriteContent = (content) => this.linkProcessor.renameSubstituteLinks(content, oldName, newName, { ...incoming.substitute, [oldName]: '' }).content;
+    const rewrite = (items) => Object.fromEntries(Object.entries(items).map(([name, content]) => [name, rewriteContent(content)]));
+    return {
+      prompt: rewrite(incoming.prompt),
+      substitute: rewrite(substitutes),
+      system: incoming.system === null ? null : rewriteContent(incoming.system)
+    };
+  }
+}
+
+module.exports = BundleManager;
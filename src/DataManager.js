@@ -1,10 +1,52 @@
 const fs = require('fs-extra');
 const path = require('path');
+const EventEmitter = require('events');
+const LinkSyntax = require('./LinkSyntax');
 
-class DataManager {
+// Defaults for settings.json. Saved values are merged over these, so new keys need no migration.
+const DEFAULT_SETTINGS = {
+  maxGlobFiles: 100,
+  maxFileSize: 1024 * 1024,
+  maxExpansionChars: 200000,
+  maxListEntries: 500,
+  contextWarningPercent: 80,
+  allowedEnvVars: [],
+  libraryPath: '',
+  backupIntervalMinutes: 60,
+  backupKeepLast: 10,
+  backupKeepDaily: 7,
+  allowedExtensions: [
+    '.md', '.txt', '.js', '.mjs', '.cjs', '.jsx', '.ts', '.tsx', '.py', '.rb', '.go', '.rs',
+    '.java', '.c', '.h', '.cpp', '.cs', '.php', '.sh', '.sql', '.json', '.yaml', '.yml',
+    '.toml', '.xml', '.csv', '.tsv', '.html', '.css'
+  ]
+};
+
+const MAX_BACKUP_INTERVAL_MINUTES = 24 * 60 * 24;
+
+// Library folders for each kind of item, one markdown file per item, e.g. library/subs/house-style.md
+const LIBRARY_FOLDERS = { prompt: 'prompts', substitute: 'subs' };
+const JSON_FILES = { prompt: 'prompts.json', substitute: 'substitutes.json' };
+
+// Earlier versions kept per prompt or substitute in revisions.json; the oldest are dropped first
+const MAX_REVISIONS = 50;
+
+// Data files are saved as { schemaVersion, data }. Files written before that are version 0;
+// on load each migration newer than a file's version runs in order, and the file is saved
+// again in the current format. Add a migration here when the shape of a file changes.
+const SCHEMA_VERSION = 1;
+const MIGRATIONS = [
+  // 1: the { schemaVersion, data } envelope; the content itself is unchanged
+  { version: 1, migrate: (data) => data }
+];
+
+// Emits promptsSaved and substitutesSaved after each save, so derived state can follow
+class DataManager extends EventEmitter {
   constructor(logger) {
+    super();
     this.logger = logger;
     this.dataDir = path.join(__dirname, '..', 'data');
+    this.loadErrors = [];
     this.ensureDataDirectory();
     this.loadData();
   }
@@ -21,13 +63,16 @@ class DataManager {
 
   loadData() {
     try {
-      this.prompts = this.loadJSON('prompts.json', {});
-      this.substitutes = this.loadJSON('substitutes.json', {});
+      this.settings = this.loadJSON('settings.json', {});
+      this.prompts = this.loadCollection('prompt');
+      this.substitutes = this.loadCollection('substitute');
       this.systemInstructions = this.loadJSON('system.json', 'You are a helpful AI assistant.');
       this.aiModel = this.loadJSON('aiModel.json', 'claude-3-5-sonnet-20241022');
-      this.rootPath = this.loadJSON('rootPath.json', '');
+      this.roots = this.loadRoots();
       this.history = this.loadJSON('history.json', []);
       this.conversations = this.loadJSON('conversations.json', {});
+      this.promptValues = this.loadJSON('promptValues.json', {});
+      this.revisions = this.loadJSON('revisions.json', { prompt: {}, substitute: {} });
       
       this.logger.info('Data loaded successfully');
       this.logger.debug('Loaded data:', {
@@ -44,26 +89,79 @@ class DataManager {
 
   loadJSON(filename, defaultValue) {
     const filePath = path.join(this.dataDir, filename);
+    if (!fs.existsSync(filePath)) {
+      this.logger.debug(`${filename} not found, using default value`);
+      return defaultValue;
+    }
+    
+    let loaded;
     try {
-      if (fs.existsSync(filePath)) {
-        const content = fs.readFileSync(filePath, 'utf8');
-        const parsed = JSON.parse(content);
-        this.logger.debug(`Loaded ${filename}:`, Object.keys(parsed).length || parsed.length || 'primitive');
-        return parsed;
-      } else {
-        this.logger.debug(`${filename} not found, using default value`);
-        return defaultValue;
-      }
+      loaded = this.readDataFile(filePath);
     } catch (error) {
-      this.logger.error(`Error loading ${filename}:`, error);
-      return defaultValue;
+      return this.handleUnreadableFile(filename, error, defaultValue);
     }
+    
+    if (loaded.version < SCHEMA_VERSION) {
+      this.saveJSON(filename, loaded.data);
+      this.logger.info(`Migrated ${filename} from schema ${loaded.version} to ${SCHEMA_VERSION}`);
+    }
+    this.logger.debug(`Loaded ${filename}:`, Object.keys(loaded.data).length || loaded.data.length || 'primitive');
+    return loaded.data;
+  }
+
+  // Parse a data file and bring it up to SCHEMA_VERSION: { version, data } with the version it had
+  readDataFile(filePath) {
+    const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const isEnvelope = parsed !== null && typeof parsed === 'object' && !Array.isArray(parsed) &&
+      Number.isInteger(parsed.schemaVersion) && 'data' in parsed && Object.keys(parsed).length === 2;
+    const version = isEnvelope ? parsed.schemaVersion : 0;
+    if (version > SCHEMA_VERSION) {
+      throw new Error(`it was written by a newer version of Papyrus Lite (schema ${version}, this one reads up to ${SCHEMA_VERSION})`);
+    }
+    
+    let data = isEnvelope ? parsed.data : parsed;
+    for (const migration of MIGRATIONS.filter(candidate => candidate.version > version)) {
+      data = migration.migrate(data);
+    }
+    return { version, data };
   }
 
+  // A damaged file is never replaced by a default: it is left as it is, saving over it is
+  // refused, and the problem is reported to every client. The last good copy, if any, is
+  // loaded instead so the data stays visible.
+  handleUnreadableFile(filename, error, defaultValue) {
+    const backupName = `${filename}.bak`;
+    let fallback = defaultValue;
+    let shown = 'Nothing from it is shown.';
+    try {
+      if (fs.existsSync(path.join(this.dataDir, backupName))) {
+        fallback = this.readDataFile(path.join(this.dataDir, backupName)).data;
+        shown = `Showing the last good copy, ${backupName}.`;
+      }
+    } catch (backupError) {
+      this.logger.error(`Last good copy ${backupName} is unreadable too:`, backupError);
+    }
+    
+    const message = `data/${filename} could not be read: ${error.message}. ${shown} ` +
+      `It will not be overwritten, so changes to it cannot be saved until it is fixed or replaced with ${backupName} and the server is restarted.`;
+    this.logger.error(message);
+    this.loadErrors.push({ file: filename, message });
+    return fallback;
+  }
+
+  // Files that could not be loaded: [{ file, message }]
+  getLoadErrors() {
+    return [...this.loadErrors];
+  }
+
+  // Written to a temp file and renamed into place, so a crash mid-write leaves either the old
+  // or the new file, never half of one. The file being replaced is kept as <file>.bak.
   saveJSON(filename, data) {
     const filePath = path.join(this.dataDir, filename);
+    this.checkWritable(filename);
+    
     try {
-      fs.writeFileSync(filePath, JSON.stringify(data, null, 2), 'utf8');
+      this.writeFileAtomic(filePath, JSON.stringify({ schemaVersion: SCHEMA_VERSION, data }, null, 2), true);
       this.logger.debug(`Saved ${filename}`);
     } catch (error) {
       this.logger.error(`Error saving ${filename}:`, error);
@@ -71,23 +169,196 @@ class DataManager {
     }
   }
 
+  // Throws the error saveJSON would for a damaged file, without writing anything
+  checkWritable(filename) {
+    if (this.loadErrors.some(error => error.file === filename)) {
+      throw new Error(`data/${filename} is damaged and was not overwritten. Fix it or replace it with ${filename}.bak, then restart the server.`);
+    }
+  }
+
+  writeFileAtomic(filePath, content, keepBackup = false) {
+    const tempPath = `${filePath}.tmp`;
+    const fd = fs.openSync(tempPath, 'w');
+    try {
+      fs.writeFileSync(fd, content, 'utf8');
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    
+    if (keepBackup && fs.existsSync(filePath)) {
+      fs.copyFileSync(filePath, `${filePath}.bak`);
+    }
+    fs.renameSync(tempPath, filePath);
+  }
+
+  // Prompts and substitutes are kept in prompts.json and substitutes.json, or, when the
+  // libraryPath setting is set, as one markdown file per item in that folder. The file name
+  // is the item name, so the files can be edited, diffed and committed like any other.
+  getLibraryDir() {
+    const { libraryPath } = this.getSettings();
+    return libraryPath ? path.resolve(path.join(__dirname, '..'), libraryPath) : null;
+  }
+
+  loadCollection(kind) {
+    return this.getLibraryDir() ? this.readLibrary(kind) : this.loadJSON(JSON_FILES[kind], {});
+  }
+
+  // Writes only the files whose content changed and removes those of deleted items
+  saveCollection(kind, items, previous) {
+    const libraryDir = this.getLibraryDir();
+    if (!libraryDir) {
+      this.saveJSON(JSON_FILES[kind], items);
+      return;
+    }
+    
+    const folder = path.join(libraryDir, LIBRARY_FOLDERS[kind]);
+    try {
+      fs.ensureDirSync(folder);
+      for (const [name, content] of Object.entries(items)) {
+        const filePath = path.join(folder, `${name}.md`);
+        if (previous[name] !== content || !fs.existsSync(filePath)) {
+          this.writeFileAtomic(filePath, content);
+        }
+      }
+      for (const name of Object.keys(previous)) {
+        if (!Object.prototype.hasOwnProperty.call(items, name)) {
+          fs.removeSync(path.join(folder, `${name}.md`));
+        }
+      }
+      this.logger.debug(`Saved ${kind} library: ${folder}`);
+    } catch (error) {
+      this.logger.error(`Error saving ${kind} library:`, error);
+      throw error;
+    }
+  }
+
+  readLibrary(kind) {
+    const folder = path.join(this.getLibraryDir(), LIBRARY_FOLDERS[kind]);
+    const items = {};
+    if (!fs.existsSync(folder)) {
+      return items;
+    }
+    
+    const files = fs.readdirSync(folder, { withFileTypes: true })
+      .filter(entry => entry.isFile() && entry.name.endsWith('.md') && !entry.name.startsWith('.'))
+      .map(entry => entry.name)
+      .sort();
+    for (const file of files) {
+      items[file.slice(0, -'.md'.length)] = fs.readFileSync(path.join(folder, file), 'utf8');
+    }
+    this.logger.debug(`Loaded ${files.length} ${kind} files from ${folder}`);
+    return items;
+  }
+
+  // Pick up edits made to the library outside the app. Returns true if anything changed.
+  reloadLibrary(kind) {
+    if (!this.getLibraryDir()) {
+      return false;
+    }
+    
+    const loaded = this.readLibrary(kind);
+    const current = kind === 'prompt' ? this.prompts : this.substitutes;
+    const names = new Set([...Object.keys(loaded), ...Object.keys(current)]);
+    if ([...names].every(name => loaded[name] === current[name])) {
+      return false;
+    }
+    
+    this.recordRevisions(kind, current, loaded);
+    if (kind === 'prompt') {
+      this.prompts = loaded;
+      this.emit('promptsSaved', this.getPrompts());
+    } else {
+      this.substitutes = loaded;
+      this.emit('substitutesSaved', this.getSubstitutes());
+    }
+    this.logger.info(`Reloaded ${Object.keys(loaded).length} ${kind}s from the library`);
+    return true;
+  }
+
+  // Item names become file names in the library, so they have to be usable as one
+  validateLibraryNames(kind, items) {
+    if (!this.getLibraryDir()) {
+      return;
+    }
+    for (const name of Object.keys(items)) {
+      if (!/^[^\\/:*?"<>|\x00-\x1f]+$/.test(name) || name.startsWith('.') || /[. ]$/.test(name)) {
+        throw new Error(`${kind === 'prompt' ? 'Prompt' : 'Substitute'} name "${name}" cannot be used as a file name in the library`);
+      }
+    }
+  }
+
+  // Called when libraryPath changes. The items on both sides are merged, so switching in
+  // either direction loses nothing: entering a library adds the current items it lacks, and
+  // leaving one keeps what the JSON files still hold next to the library's items. When both
+  // sides have an item with different content the library's version wins, and the other one
+  // is kept as a revision.
+  switchStorage() {
+    const libraryDir = this.getLibraryDir();
+    const switched = {};
+    for (const kind of Object.keys(LIBRARY_FOLDERS)) {
+      const current = kind === 'prompt' ? this.prompts : this.substitutes;
+      const stored = libraryDir ? this.readLibrary(kind) : this.loadJSON(JSON_FILES[kind], {});
+      // Leaving a library, the current items are the library's
+      const merged = libraryDir ? { ...current, ...stored } : { ...stored, ...current };
+      const replaced = libraryDir ? current : stored;
+      this.validateLibraryNames(kind, merged);
+      switched[kind] = {
+        stored,
+        merged,
+        replaced,
+        conflicts: Object.keys(replaced).filter(name => replaced[name] !== merged[name])
+      };
+    }
+    
+    // Both are written before either is used, so a failed write leaves the old storage in use
+    for (const [kind, { stored, merged }] of Object.entries(switched)) {
+      this.saveCollection(kind, merged, stored);
+    }
+    for (const [kind, { merged, replaced, conflicts }] of Object.entries(switched)) {
+      if (kind === 'prompt') {
+        this.prompts = merged;
+      } else {
+        this.substitutes = merged;
+      }
+      this.recordRevisions(kind, replaced, merged);
+      if (conflicts.length > 0) {
+        this.logger.warn(`Kept the library's version of ${kind}s ${conflicts.map(name => `"${name}"`).join(', ')}; the other version is in their history`);
+      }
+    }
+    
+    this.logger.info(libraryDir
+      ? `Prompts and substitutes are now stored in the library: ${libraryDir}`
+      : 'Prompts and substitutes are now stored in prompts.json and substitutes.json');
+    this.emit('promptsSaved', this.getPrompts());
+    this.emit('substitutesSaved', this.getSubstitutes());
+  }
+
   // Prompts management
   getPrompts() {
     return { ...this.prompts };
   }
 
-  savePrompts(prompts) {
-    // Validate prompts don't use reserved command names
-    const reservedCommands = ['restart', 'prompts', 'subs', 'system', 'ai-model', 'root'];
+  // Validate prompts don't use reserved command names
+  validatePromptNames(prompts) {
+    const reservedCommands = ['restart', 'prompts', 'subs', 'system', 'ai-model', 'root', 'settings', 'tree', 'usages', 'check', 'export-bundle', 'import-bundle', 'backup', 'backups', 'restore', 'help'];
     for (const promptName of Object.keys(prompts)) {
       if (reservedCommands.includes(promptName)) {
         throw new Error(`Prompt name "${promptName}" is reserved and cannot be used`);
       }
     }
+  }
+
+  savePrompts(prompts) {
+    this.validatePromptNames(prompts);
+    this.validateLibraryNames('prompt', prompts);
     
+    const previous = this.prompts;
+    this.saveCollection('prompt', prompts, previous);
     this.prompts = { ...prompts };
-    this.saveJSON('prompts.json', this.prompts);
+    this.recordRevisions('prompt', previous, this.prompts);
     this.logger.info(`Saved ${Object.keys(prompts).length} prompts`);
+    this.emit('promptsSaved', this.getPrompts());
   }
 
   // Substitutes management
@@ -96,9 +367,90 @@ class DataManager {
   }
 
   saveSubstitutes(substitutes) {
+    this.validateLibraryNames('substitute', substitutes);
+    
+    const previous = this.substitutes;
+    this.saveCollection('substitute', substitutes, previous);
     this.substitutes = { ...substitutes };
-    this.saveJSON('substitutes.json', this.substitutes);
+    this.recordRevisions('substitute', previous, this.substitutes);
     this.logger.info(`Saved ${Object.keys(substitutes).length} substitutes`);
+    this.emit('substitutesSaved', this.getSubstitutes());
+  }
+
+  // Save both files for changes that span them, such as a rename.
+  // If the second write fails, the first file is put back.
+  // renamed is { kind, oldName, newName }, so the renamed item keeps its history.
+  savePromptsAndSubstitutes(prompts, substitutes, renamed = null) {
+    this.validatePromptNames(prompts);
+    this.validateLibraryNames('prompt', prompts);
+    this.validateLibraryNames('substitute', substitutes);
+    
+    this.saveCollection('prompt', prompts, this.prompts);
+    try {
+      this.saveCollection('substitute', substitutes, this.substitutes);
+    } catch (error) {
+      this.saveCollection('prompt', this.prompts, prompts);
+      throw error;
+    }
+    
+    const previousPrompts = this.prompts;
+    const previousSubstitutes = this.substitutes;
+    this.prompts = { ...prompts };
+    this.substitutes = { ...substitutes };
+    const renames = (kind) => (renamed && renamed.kind === kind ? { [renamed.oldName]: renamed.newName } : {});
+    this.recordRevisions('prompt', previousPrompts, this.prompts, renames('prompt'));
+    this.recordRevisions('substitute', previousSubstitutes, this.substitutes, renames('substitute'));
+    if (renamed && renamed.kind === 'prompt') {
+      this.renamePromptValues(renamed.oldName, renamed.newName);
+    }
+    this.logger.info(`Saved ${Object.keys(prompts).length} prompts and ${Object.keys(substitutes).length} substitutes`);
+    this.emit('promptsSaved', this.getPrompts());
+    this.emit('substitutesSaved', this.getSubstitutes());
+  }
+
+  // Revisions: the content a prompt or substitute had before each change, oldest first,
+  // as { timestamp, content, change } where change is edited, deleted or renamed
+  getRevisions(kind, name) {
+    return [...((this.revisions[kind] || {})[name] || [])];
+  }
+
+  // Record the previous content of every item that changed, was deleted or was renamed
+  // between two saves. renames maps old names to new ones; their history moves along.
+  recordRevisions(kind, before, after, renames = {}) {
+    const history = this.revisions[kind];
+    const timestamp = new Date().toISOString();
+    let recorded = 0;
+    
+    for (const [oldName, newName] of Object.entries(renames)) {
+      if (history[oldName]) {
+        history[newName] = history[oldName];
+        delete history[oldName];
+      }
+    }
+    
+    for (const [name, content] of Object.entries(before)) {
+      const currentName = renames[name] || name;
+      const exists = Object.prototype.hasOwnProperty.call(after, currentName);
+      if (exists && currentName === name && after[name] === content) {
+        continue;
+      }
+      
+      const change = !exists ? 'deleted' : currentName !== name ? 'renamed' : 'edited';
+      history[currentName] = [...(history[currentName] || []), { timestamp, content, change }].slice(-MAX_REVISIONS);
+      recorded++;
+    }
+    
+    if (recorded === 0 && Object.keys(renames).length === 0) {
+      return;
+    }
+    
+    // The item itself is already saved, so a failure here is logged rather than undoing the save
+    try {
+      this.saveJSON('revisions.json', this.revisions);
+      this.logger.debug(`Recorded ${recorded} ${kind} revisions`);
+    } catch (error) {
+      this.logger.error(`Could not record ${kind} revisions:`, error);
+    }
   }
 
   // System instructions
@@ -128,15 +480,131 @@ class DataManager {
     this.logger.info(`AI model set to: ${model}`);
   }
 
-  // Root path
-  getRootPath() {
-    return this.rootPath;
+  // Last-used fill-in variable values, per prompt
+  getPromptValues(promptName) {
+    return { ...(this.promptValues[promptName] || {}) };
+  }
+
+  savePromptValues(promptName, values) {
+    this.promptValues[promptName] = { ...this.promptValues[promptName], ...values };
+    this.saveJSON('promptValues.json', this.promptValues);
+    this.logger.debug(`Saved fill-in values for prompt: ${promptName}`);
+  }
+
+  // Remembered values move with a renamed prompt
+  renamePromptValues(oldName, newName) {
+    if (!Object.prototype.hasOwnProperty.call(this.promptValues, oldName)) {
+      return;
+    }
+    this.promptValues[newName] = this.promptValues[oldName];
+    delete this.promptValues[oldName];
+    this.saveJSON('promptValues.json', this.promptValues);
+  }
+
+  // Named roots. roots.json is { roots: { name: path }, defaultRoot }; bare file links use the
+  // default root. Before named roots there was a single rootPath.json, which becomes "main".
+  loadRoots() {
+    const legacyPath = this.loadJSON('rootPath.json', '');
+    const fallback = legacyPath ? { roots: { main: legacyPath }, defaultRoot: 'main' } : { roots: {}, defaultRoot: null };
+    return this.loadJSON('roots.json', fallback);
+  }
+
+  getRoots() {
+    return { ...this.roots.roots };
+  }
+
+  getDefaultRoot() {
+    return this.roots.defaultRoot;
   }
 
-  saveRootPath(rootPath) {
-    this.rootPath = rootPath;
-    this.saveJSON('rootPath.json', this.rootPath);
-    this.logger.info(`Root path set to: ${rootPath}`);
+  // Path of the named root, or of the default root when no name is given; '' if there is none
+  getRootPath(name = this.roots.defaultRoot) {
+    return (name && this.roots.roots[name]) || '';
+  }
+
+  saveRoots(roots, defaultRoot) {
+    const names = Object.keys(roots);
+    for (const [name, rootPath] of Object.entries(roots)) {
+      if (!/^[\w-]+$/.test(name)) {
+        throw new Error(`Invalid root name "${name}". Use letters, numbers, - and _.`);
+      }
+      if (name === 'git') {
+        throw new Error('"git" is reserved for {{git:...}} links and cannot name a root');
+      }
+      if (typeof rootPath !== 'string' || !rootPath.trim()) {
+        throw new Error(`Root "${name}" needs a folder path`);
+      }
+    }
+    if (names.length > 0 && !names.includes(defaultRoot)) {
+      throw new Error('Choose which root is the default');
+    }
+
+    this.roots = { roots: { ...roots }, defaultRoot: names.length > 0 ? defaultRoot : null };
+    this.saveJSON('roots.json', this.roots);
+    this.logger.info(`Roots set to: ${names.map(name => `${name}=${roots[name]}`).join(', ') || '(none)'} (default: ${this.roots.defaultRoot})`);
+  }
+
+  // Settings
+  getSettings() {
+    return { ...DEFAULT_SETTINGS, ...this.settings };
+  }
+
+  saveSettings(settings) {
+    for (const [key, value] of Object.entries(settings)) {
+      if (!(key in DEFAULT_SETTINGS)) {
+        throw new Error(`Unknown setting: ${key}. Valid settings: ${Object.keys(DEFAULT_SETTINGS).join(', ')}`);
+      }
+
+      const expected = DEFAULT_SETTINGS[key];
+      if (typeof expected === 'number' && !(Number.isInteger(value) && value > 0)) {
+        throw new Error(`Setting "${key}" must be a positive whole number`);
+      }
+      if (Array.isArray(expected) && !(Array.isArray(value) && value.every(item => typeof item === 'string'))) {
+        throw new Error(`Setting "${key}" must be a list of strings`);
+      }
+      if (key === 'allowedExtensions' && !value.every(ext => /^\.[\w.-]+$/.test(ext))) {
+        throw new Error('Setting "allowedExtensions" entries must look like ".md"');
+      }
+      // Node timers run at once when the delay passes 2^31-1 ms, just under 25 days
+      if (key === 'backupIntervalMinutes' && value > MAX_BACKUP_INTERVAL_MINUTES) {
+        throw new Error(`Setting "backupIntervalMinutes" must be at most ${MAX_BACKUP_INTERVAL_MINUTES} (24 days)`);
+      }
+      if (key === 'contextWarningPercent' && value > 100) {
+        throw new Error('Setting "contextWarningPercent" must be between 1 and 100');
+      }
+      if (key === 'allowedEnvVars' && !value.every(name => /^[A-Za-z_][A-Za-z0-9_]*$/.test(name))) {
+        throw new Error('Setting "allowedEnvVars" entries must be environment variable names like "USER"');
+      }
+      if (typeof expected === 'string' && typeof value !== 'string') {
+        throw new Error(`Setting "${key}" must be a string`);
+      }
+      if (key === 'libraryPath' && value) {
+        const libraryDir = path.resolve(path.join(__dirname, '..'), value);
+        if (fs.existsSync(libraryDir) && !fs.statSync(libraryDir).isDirectory()) {
+          throw new Error(`Setting "libraryPath" must be a folder: ${libraryDir}`);
+        }
+      }
+      if (typeof expected === 'boolean' && typeof value !== 'boolean') {
+        throw new Error(`Setting "${key}" must be true or false`);
+      }
+    }
+
+    const previousLibrary = this.getLibraryDir();
+    const previousSettings = this.settings;
+    // Keys left out keep their saved values
+    this.settings = { ...this.settings, ...settings };
+    const libraryChanged = this.getLibraryDir() !== previousLibrary;
+    if (libraryChanged) {
+      try {
+        this.switchStorage();
+      } catch (error) {
+        this.settings = previousSettings;
+        throw error;
+      }
+    }
+    
+    this.saveJSON('settings.json', this.settings);
+    this.logger.info('Settings updated');
   }
 
   // History management
@@ -188,25 +656,15 @@ class DataManager {
     }
   }
 
-  // Backup and restore
-  createBackup() {
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const backupDir = path.join(this.dataDir, 'backups', timestamp);
-    
-    try {
-      fs.ensureDirSync(backupDir);
-      fs.copySync(this.dataDir, backupDir, {
-        filter: (src) => !src.includes('backups')
-      });
-      this.logger.info(`Backup created: ${backupDir}`);
-      return backupDir;
-    } catch (error) {
-      this.logger.error('Backup failed:', error);
-      throw error;
-    }
+  // Read everything from disk again, e.g. after a backup is restored (see BackupManager)
+  reload() {
+    this.loadErrors = [];
+    this.loadData();
+    this.emit('promptsSaved', this.getPrompts());
+    this.emit('substitutesSaved', this.getSubstitutes());
   }
 
-  // Data validation and repair
+  // Data validation and repair. Issues are { type, message } with type 'cycle', 'rootPath' or 'dataFile'.
   validateData() {
     const issues = [];
     
@@ -216,7 +674,7 @@ class DataManager {
     
     const checkCircular = (key, path = []) => {
       if (recursionStack.has(key)) {
-        issues.push(`Circular reference detected in substitutes: ${path.join(' -> ')} -> ${key}`);
+        issues.push({ type: 'cycle', message: `Circular reference detected in substitutes: ${path.join(' -> ')} -> ${key}` });
         return;
       }
       
@@ -227,10 +685,11 @@ class DataManager {
       
       const content = this.substitutes[key];
       if (content) {
-        const links = content.match(/\{\{([^}]+)\}\}/g) || [];
+        const links = LinkSyntax.extractLinks(content);
         for (const link of links) {
-          const linkKey = link.slice(2, -2);
-          if (this.substitutes[linkKey]) {
+          // {{name key=value | trim @xml}} still links to name
+          const linkKey = LinkSyntax.getSubstituteName(LinkSyntax.getLinkTarget(link.content), this.substitutes);
+          if (linkKey !== null) {
             checkCircular(linkKey, [...path, key]);
           }
         }
@@ -243,14 +702,24 @@ class DataManager {
       checkCircular(key);
     }
     
-    // Validate file paths in root directory
-    if (this.rootPath && !fs.existsSync(this.rootPath)) {
-      issues.push(`Root path does not exist: ${this.rootPath}`);
+    // Validate the root folders
+    const roots = Object.entries(this.roots.roots);
+    if (roots.length === 0) {
+      issues.push({ type: 'rootPath', message: 'No root folder set, so file links cannot resolve. Use /root to add one.' });
+    }
+    for (const [name, rootPath] of roots) {
+      if (!fs.existsSync(rootPath)) {
+        issues.push({ type: 'rootPath', message: `Root "${name}" does not exist: ${rootPath}` });
+      }
+    }
+    
+    for (const error of this.loadErrors) {
+      issues.push({ type: 'dataFile', message: error.message });
     }
     
     this.logger.info(`Data validation completed. Issues found: ${issues.length}`);
     if (issues.length > 0) {
-      this.logger.warn('Validation issues:', issues);
+      this.logger.warn('Validation issues:', issues.map(issue => issue.message));
     }
     
     return issues;
@@ -0,0 +1,164 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// Registry of computed links, resolved when a prompt is rendered instead of read from a file:
+//   {{@date}}  {{@datetime}}  {{@env:NAME}}  {{@tree:docs}}  {{@filelist:src/*.js}}
+// Their output changes without any file or substitute changing, so it is never cached.
+class DynamicLinks {
+  constructor(dataManager, linkProcessor, logger) {
+    this.dataManager = dataManager;
+    this.linkProcessor = linkProcessor;
+    this.logger = logger;
+    this.links = new Map();
+    this.registerBuiltins();
+  }
+
+  register(name, description, fn) {
+    this.links.set(name, { description, fn });
+  }
+
+  getAvailableLinks() {
+    return [...this.links.entries()].map(([name, link]) => ({
+      name,
+      description: link.description
+    }));
+  }
+
+  // "@tree:docs" -> { name: 'tree', arg: 'docs' }; null for links outside the namespace
+  parse(linkContent) {
+    const match = linkContent.match(/^@([\w-]+)(?::([\s\S]*))?$/);
+    if (!match) {
+      return null;
+    }
+    return { name: match[1], arg: match[2] !== undefined ? match[2].trim() : null };
+  }
+
+  isDynamic(linkContent) {
+    const parsed = this.parse(linkContent);
+    return parsed !== null && this.links.has(parsed.name);
+  }
+
+  async resolve(linkContent) {
+    const parsed = this.parse(linkContent);
+    const link = parsed && this.links.get(parsed.name);
+    if (!link) {
+      const name = parsed ? parsed.name : linkContent;
+      throw new Error(`Unknown dynamic link: @${name.replace(/^@/, '')}. Available: ${[...this.links.keys()].map(key => `@${key}`).join(', ')}`);
+    }
+
+    this.logger.debug(`Resolving dynamic link: ${linkContent}`);
+    return await link.fn(parsed.arg);
+  }
+
+  registerBuiltins() {
+    this.register('date', "Today's date, e.g. 2024-05-01", () => this.formatDate(new Date()));
+
+    this.register('datetime', 'The current local date and time with its UTC offset', () => this.formatDateTime(new Date()));
+
+    this.register('env', 'An environment variable listed in allowedEnvVars (/settings)', (name) => {
+      if (!name) {
+        throw new Error('@env needs a variable name, e.g. {{@env:USER}}');
+      }
+
+      const { allowedEnvVars } = this.dataManager.getSettings();
+      if (!allowedEnvVars.includes(name)) {
+        throw new Error(`Environment variable "${name}" is not allowed. Add it to allowedEnvVars in /settings.`);
+      }
+      if (process.env[name] === undefined) {
+        throw new Error(`Environment variable "${name}" is not set`);
+      }
+      return process.env[name];
+    });
+
+    this.register('tree', 'A directory listing of a folder under a root, e.g. {{@tree:docs}}', (folder) => this.renderTree(folder || '.'));
+
+    this.register('filelist', 'Paths of the files a glob matches, one per line, e.g. {{@filelist:src/*.js}}', (pattern) => this.renderFileList(pattern));
+  }
+
+  formatDate(date) {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  formatDateTime(date) {
+    const pad = (value) => String(value).padStart(2, '0');
+    const offset = -date.getTimezoneOffset();
+    const sign = offset >= 0 ? '+' : '-';
+    const zone = `${sign}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`;
+    return `${this.formatDate(date)}T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}${zone}`;
+  }
+
+  // Resolve a folder under a root ("docs" or "notes:docs"), with the same boundary check as file links
+  async resolveFolder(folder) {
+    const { rootName, normalizedRoot, relativePath } = this.linkProcessor.resolveRoot(folder);
+    const dirPath = path.resolve(normalizedRoot, relativePath);
+    if (!this.linkProcessor.isInsideRoot(dirPath, normalizedRoot)) {
+      throw new Error(`Folder path outside root directory: ${folder}`);
+    }
+    if (!await fs.pathExists(dirPath)) {
+      throw new Error(`Folder not found: ${folder}`);
+    }
+    if (!(await fs.stat(dirPath)).isDirectory()) {
+      throw new Error(`Path is not a directory: ${folder}`);
+    }
+
+    return { rootName, normalizedRoot, dirPath };
+  }
+
+  // Indented tree of folders and files, folders first. Dotfiles and symlinks are skipped,
+  // as they are for globs. The walk stops after maxListEntries entries, with a note.
+  async renderTree(folder) {
+    const { rootName, normalizedRoot, dirPath } = await this.resolveFolder(folder);
+    const { maxListEntries } = this.dataManager.getSettings();
+    const lines = [];
+    let truncated = false;
+
+    const walk = async (dir, prefix) => {
+      const entries = (await fs.readdir(dir, { withFileTypes: true }))
+        .filter(entry => !entry.name.startsWith('.') && (entry.isDirectory() || entry.isFile()))
+        .sort((a, b) => (b.isDirectory() - a.isDirectory()) || a.name.localeCompare(b.name));
+
+      for (const [index, entry] of entries.entries()) {
+        if (lines.length >= maxListEntries) {
+          truncated = true;
+          return;
+        }
+
+        const isLast = index === entries.length - 1;
+        lines.push(`${prefix}${isLast ? '└── ' : '├── '}${entry.name}${entry.isDirectory() ? '/' : ''}`);
+        if (entry.isDirectory()) {
+          await walk(path.join(dir, entry.name), prefix + (isLast ? '    ' : '│   '));
+        }
+      }
+    };
+    await walk(dirPath, '');
+
+    const relative = path.relative(normalizedRoot, dirPath).split(path.sep).join('/');
+    const listing = [`${this.linkProcessor.toLinkPath(rootName, relative || '.')}/`, ...lines];
+    if (truncated) {
+      listing.push(`[... listing stopped at ${maxListEntries} entries. Raise maxListEntries in /settings to see more.]`);
+    }
+    return listing.join('\n');
+  }
+
+  // Matches the same files a glob link would include, without reading them
+  async renderFileList(pattern) {
+    if (!pattern) {
+      throw new Error('@filelist needs a pattern, e.g. {{@filelist:src/*.js}}');
+    }
+
+    const { rootName, files } = await this.linkProcessor.matchGlob(pattern);
+    if (files.length === 0) {
+      return `[No supported files found in ${pattern}]`;
+    }
+
+    const { maxListEntries } = this.dataManager.getSettings();
+    const listing = files.slice(0, maxListEntries).map(file => this.linkProcessor.toLinkPath(rootName, file));
+    if (files.length > maxListEntries) {
+      listing.push(`[... ${files.length - maxListEntries} more files not listed. Raise maxListEntries in /settings to see them.]`);
+    }
+    return listing.join('\n');
+  }
+}
+
+module.exports = DynamicLinks;
@@ -0,0 +1,98 @@
+// Readable renderings for structured files included whole through a link.
+// Files without a renderer, or that fail to parse, are included as-is.
+class FileRenderers {
+  constructor(logger) {
+    this.logger = logger;
+    this.renderers = {
+      '.csv': (content) => this.delimitedToMarkdownTable(content, ','),
+      '.tsv': (content) => this.delimitedToMarkdownTable(content, '\t'),
+      '.json': (content) => JSON.stringify(JSON.parse(content), null, 2)
+    };
+  }
+
+  canRender(ext) {
+    return Object.prototype.hasOwnProperty.call(this.renderers, ext);
+  }
+
+  render(content, ext, displayPath) {
+    if (!this.canRender(ext)) {
+      return content;
+    }
+
+    try {
+      return this.renderers[ext](content);
+    } catch (error) {
+      this.logger.warn(`Could not render ${displayPath} as ${ext}, including raw content: ${error.message}`);
+      return content;
+    }
+  }
+
+  delimitedToMarkdownTable(content, delimiter) {
+    const rows = this.parseDelimited(content, delimiter).filter(row => row.some(cell => cell.trim() !== ''));
+    if (rows.length === 0) {
+      return '';
+    }
+
+    const width = Math.max(...rows.map(row => row.length));
+    const formatRow = (row) => {
+      const cells = [];
+      for (let i = 0; i < width; i++) {
+        cells.push((row[i] || '').replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>').trim());
+      }
+      return `| ${cells.join(' | ')} |`;
+    };
+
+    const [header, ...body] = rows;
+    return [
+      formatRow(header),
+      `| ${new Array(width).fill('---').join(' | ')} |`,
+      ...body.map(formatRow)
+    ].join('\n');
+  }
+
+  // RFC 4180 style: quoted fields may contain the delimiter, newlines and "" escapes
+  parseDelimited(content, delimiter) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    const text = content.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (inQuotes) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"' && field === '') {
+        inQuotes = true;
+      } else if (char === delimiter) {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    return rows;
+  }
+}
+
+module.exports = FileRenderers;
@@ -2,92 +2,113 @@ const chokidar = require('chokidar');
 const path = require('path');
 const EventEmitter = require('events');
 
+// Dotfiles and everything under a dot folder, including roots that sit inside one
+const IGNORED_PATHS = /(^|[\/\\])\../;
+
+// One chokidar watcher per root folder; every change is emitted as fileChanged(filePath)
 class FileWatcher extends EventEmitter {
   constructor(dataManager, logger) {
     super();
     this.dataManager = dataManager;
     this.logger = logger;
-    this.watcher = null;
-    this.currentRootPath = null;
+    this.watchers = new Map();
+    this.currentRoots = {};
   }
 
-  updateRootPath(rootPath) {
+  // roots is { name: absolutePath }; watchers for the previous roots are stopped first
+  updateRoots(roots) {
     try {
-      // Stop existing watcher
-      if (this.watcher) {
-        this.watcher.close();
-        this.logger.debug('Stopped existing file watcher');
-      }
+      this.closeWatchers();
+      this.currentRoots = { ...roots };
 
-      if (!rootPath) {
-        this.logger.info('No root path provided, file watching disabled');
+      if (Object.keys(roots).length === 0) {
+        this.logger.info('No root folders provided, file watching disabled');
         return;
       }
 
-      this.currentRootPath = rootPath;
-
-      // Watch for .md and .txt files
-      const watchPattern = path.join(rootPath, '**/*.{md,txt}');
-      
-      this.watcher = chokidar.watch(watchPattern, {
-        ignored: /(^|[\/\\])\../, // ignore dotfiles
-        persistent: true,
-        ignoreInitial: true,
-        followSymlinks: false,
-        depth: 10 // Reasonable depth limit
-      });
-
-      this.watcher
-        .on('add', (filePath) => {
-          this.logger.debug(`File added: ${filePath}`);
-          this.emit('fileChanged', filePath);
-        })
-        .on('change', (filePath) => {
-          this.logger.debug(`File changed: ${filePath}`);
-          this.emit('fileChanged', filePath);
-        })
-        .on('unlink', (filePath) => {
-          this.logger.debug(`File removed: ${filePath}`);
-          this.emit('fileChanged', filePath);
-        })
-        .on('error', (error) => {
-          this.logger.error('File watcher error:', error);
-          this.emit('error', error);
-        })
-        .on('ready', () => {
-          this.logger.info(`File watcher initialized for: ${rootPath}`);
-          this.logger.debug(`Watching pattern: ${watchPattern}`);
-        });
-
+      for (const [name, rootPath] of Object.entries(roots)) {
+        this.watchers.set(name, this.watchRoot(name, rootPath));
+      }
     } catch (error) {
       this.logger.error('Failed to initialize file watcher:', error);
       throw error;
     }
   }
 
+  watchRoot(name, rootPath) {
+    // Watch the same file types that links are allowed to include
+    const { allowedExtensions } = this.dataManager.getSettings();
+    const watchPattern = allowedExtensions.map(ext => path.join(rootPath, `**/*${ext}`));
+
+    const watcher = chokidar.watch(watchPattern, {
+      ignored: IGNORED_PATHS,
+      persistent: true,
+      ignoreInitial: true,
+      // No depth limit: ** globs walk the whole root, and cached expansions of files at any
+      // depth have to be cleared when those files change
+      followSymlinks: false
+    });
+
+    watcher
+      .on('add', (filePath) => {
+        this.logger.debug(`File added: ${filePath}`);
+        this.emit('fileChanged', filePath);
+      })
+      .on('change', (filePath) => {
+        this.logger.debug(`File changed: ${filePath}`);
+        this.emit('fileChanged', filePath);
+      })
+      .on('unlink', (filePath) => {
+        this.logger.debug(`File removed: ${filePath}`);
+        this.emit('fileChanged', filePath);
+      })
+      .on('error', (error) => {
+        this.logger.error(`File watcher error for root "${name}":`, error);
+        this.emit('error', error);
+      })
+      .on('ready', () => {
+        this.logger.info(`File watcher initialized for root "${name}": ${rootPath}`);
+        this.logger.debug(`Watching patterns: ${watchPattern.join(', ')}`);
+      });
+
+    return watcher;
+  }
+
+  // Restart with the current settings, e.g. after the allowed extensions change
+  refresh() {
+    if (this.watchers.size > 0) {
+      this.updateRoots(this.currentRoots);
+    }
+  }
+
+  closeWatchers() {
+    for (const [name, watcher] of this.watchers) {
+      watcher.close();
+      this.logger.debug(`Stopped file watcher for root "${name}"`);
+    }
+    this.watchers.clear();
+  }
+
   stop() {
-    if (this.watcher) {
-      this.watcher.close();
-      this.watcher = null;
+    if (this.watchers.size > 0) {
+      this.closeWatchers();
       this.logger.info('File watcher stopped');
     }
   }
 
+  // Watched paths, keyed by root name
   getWatchedFiles() {
-    if (!this.watcher) {
-      return [];
-    }
-
-    return this.watcher.getWatched();
+    return Object.fromEntries([...this.watchers].map(([name, watcher]) => [name, watcher.getWatched()]));
   }
 
   isWatching() {
-    return this.watcher !== null;
+    return this.watchers.size > 0;
   }
 
-  getCurrentRootPath() {
-    return this.currentRootPath;
+  getCurrentRoots() {
+    return { ...this.currentRoots };
   }
 }
 
 module.exports = FileWatcher;
+module.exports.IGNORED_PATHS = IGNORED_PATHS;
@@ -0,0 +1,189 @@
+const { execFile } = require('child_process');
+const path = require('path');
+
+const SUBCOMMANDS = ['diff', 'log', 'show', 'status'];
+
+// Options that would write files, run external programs or read outside the repository
+const BLOCKED_OPTIONS = ['--output', '--no-index', '--ext-diff', '-O'];
+
+const GIT_TIMEOUT_MS = 15000;
+
+// {{git:diff}}, {{git:diff main}}, {{git:log -n 10}}, {{git:show HEAD:docs/a.md}} and {{git:status}},
+// run with the local git inside a root folder. Only paths under that root are visible:
+// output is limited to the root with a pathspec, and rev:path arguments are resolved
+// relative to the root and rejected if they leave it, like file links.
+class GitLinks {
+  constructor(dataManager, linkProcessor, logger) {
+    this.dataManager = dataManager;
+    this.linkProcessor = linkProcessor;
+    this.logger = logger;
+  }
+
+  isGitLink(linkContent) {
+    return /^git:/.test(linkContent);
+  }
+
+  // Returns { text, language } where language is a fence hint for @fence.
+  // Git runs in the default root, or in a named one with {{git:code:diff}}.
+  async resolve(linkContent) {
+    const [command, ...args] = this.linkProcessor.tokenize(linkContent.slice('git:'.length));
+    const rootMatch = (command || '').match(/^([\w-]+):(\w+)$/);
+    const subcommand = rootMatch ? rootMatch[2] : command;
+    if (rootMatch && !Object.prototype.hasOwnProperty.call(this.dataManager.getRoots(), rootMatch[1])) {
+      throw new Error(`No root named "${rootMatch[1]}". Add it with /root.`);
+    }
+    const { normalizedRoot } = this.linkProcessor.resolveRoot(rootMatch ? `${rootMatch[1]}:` : '');
+    if (!SUBCOMMANDS.includes(subcommand)) {
+      throw new Error(`Unsupported git link: ${subcommand || '(none)'}. Use one of: ${SUBCOMMANDS.map(name => `git:${name}`).join(', ')}`);
+    }
+
+    const separator = args.indexOf('--');
+    const revisions = separator === -1 ? args : args.slice(0, separator);
+    const paths = separator === -1 ? [] : args.slice(separator + 1);
+
+    for (const arg of revisions) {
+      const blocked = BLOCKED_OPTIONS.find(option => arg === option || arg.startsWith(option.length === 2 ? option : `${option}=`));
+      if (blocked) {
+        throw new Error(`The ${blocked} option is not allowed in git links`);
+      }
+    }
+
+    const prefix = (await this.run(['rev-parse', '--show-prefix'], normalizedRoot, linkContent)).trim();
+    if (subcommand === 'show') {
+      for (const arg of revisions.filter(candidate => !candidate.startsWith('-'))) {
+        await this.checkShowRevision(arg, normalizedRoot, linkContent);
+      }
+    }
+    const resolved = revisions.map(arg => this.resolveRevisionPath(arg, normalizedRoot, prefix));
+    const gitArgs = [
+      subcommand,
+      ...resolved.map(({ gitArg }) => gitArg),
+      '--',
+      ...(paths.length > 0 ? paths.map(pathspec => this.resolvePathspec(pathspec, normalizedRoot)) : ['.'])
+    ];
+
+    let output;
+    try {
+      output = await this.run(gitArgs, normalizedRoot, linkContent);
+    } catch (error) {
+      throw new Error(this.hidePrefix(error.message, resolved, prefix));
+    }
+    this.logger.debug(`git ${gitArgs.join(' ')}: ${output.length} characters`);
+
+    return {
+      text: this.hidePrefix(output, resolved, prefix) || `[No output from git ${subcommand}]`,
+      language: this.getLanguage(subcommand, revisions)
+    };
+  }
+
+  // Only commits can be shown by revision alone: a bare object id or rev^{tree} could name
+  // a blob or tree anywhere in the repository. Files and folders are shown as rev:path.
+  async checkShowRevision(arg, normalizedRoot, linkContent) {
+    const revisionPath = this.revisionPath(arg);
+    const revision = revisionPath === null ? arg : arg.slice(0, arg.indexOf(':'));
+    if (revision === '') {
+      return;
+    }
+    try {
+      await this.run(['rev-parse', '--verify', '--quiet', `${revision}^{commit}`], normalizedRoot, linkContent);
+    } catch (error) {
+      throw new Error(`git:show only takes commits or rev:path, e.g. HEAD:docs/a.md; ${revision} is not a commit`);
+    }
+  }
+
+  // Git echoes rev:path arguments with the root's own path in the repository, e.g.
+  // "tree HEAD:docs/" or "bad revision 'HEAD:docs/a.md'"; links show them relative to the root
+  hidePrefix(text, resolved, prefix) {
+    if (prefix === '') {
+      return text;
+    }
+    return resolved.reduce((result, { arg, gitArg, relative }) => {
+      if (gitArg === arg) {
+        return result;
+      }
+      return result
+        .split(`tree ${gitArg}\n`).join(`tree ${arg}\n`)
+        .split(`'${gitArg}'`).join(`'${arg}'`)
+        .split(`'${prefix}${relative}'`).join(`'${relative || '.'}'`);
+    }, text);
+  }
+
+  // Diffs are fenced as diff, a file shown from a revision by its extension
+  getLanguage(subcommand, revisions) {
+    const blobPath = subcommand === 'show' && revisions.length === 1 ? this.revisionPath(revisions[0]) : null;
+    if (blobPath !== null) {
+      return this.linkProcessor.getFenceLanguage(blobPath);
+    }
+    if (subcommand === 'diff' || subcommand === 'show' || revisions.some(arg => arg === '-p' || arg === '--patch')) {
+      return 'diff';
+    }
+    return 'text';
+  }
+
+  // "HEAD:docs/a.md" -> "docs/a.md"; null for plain revisions
+  revisionPath(arg) {
+    if (arg.startsWith('-') || !arg.includes(':')) {
+      return null;
+    }
+    return arg.slice(arg.indexOf(':') + 1);
+  }
+
+  // Git reads rev:path from the top of the repository; links give it relative to the root.
+  // Returns { arg, gitArg, relative }; relative is null for plain revisions.
+  resolveRevisionPath(arg, normalizedRoot, prefix) {
+    const revisionPath = this.revisionPath(arg);
+    if (revisionPath === null) {
+      return { arg, gitArg: arg, relative: null };
+    }
+
+    const relative = this.toRootRelative(revisionPath, normalizedRoot);
+    return { arg, gitArg: `${arg.slice(0, arg.indexOf(':'))}:${prefix}${relative}`, relative };
+  }
+
+  resolvePathspec(pathspec, normalizedRoot) {
+    if (pathspec.startsWith(':')) {
+      throw new Error(`Pathspec magic is not allowed in git links: ${pathspec}`);
+    }
+    return this.toRootRelative(pathspec, normalizedRoot) || '.';
+  }
+
+  toRootRelative(linkPath, normalizedRoot) {
+    const absolute = path.resolve(normalizedRoot, linkPath);
+    if (!this.linkProcessor.isInsideRoot(absolute, normalizedRoot)) {
+      throw new Error(`File path outside root directory: ${linkPath}`);
+    }
+    return path.relative(normalizedRoot, absolute).split(path.sep).join('/');
+  }
+
+  // Output larger than maxFileSize fails, like an oversized file
+  run(args, cwd, linkContent) {
+    const { maxFileSize } = this.dataManager.getSettings();
+    const options = {
+      cwd,
+      timeout: GIT_TIMEOUT_MS,
+      maxBuffer: maxFileSize,
+      env: { ...process.env, GIT_TERMINAL_PROMPT: '0', GIT_OPTIONAL_LOCKS: '0' }
+    };
+
+    return new Promise((resolve, reject) => {
+      const child = execFile('git', ['--no-pager', '-c', 'color.ui=never', '-c', 'core.quotepath=off', ...args], options, (error, stdout, stderr) => {
+        if (!error) {
+          resolve(stdout);
+        } else if (error.code === 'ENOENT') {
+          reject(new Error('git is not installed or not on the PATH'));
+        } else if (error.code === 'ERR_CHILD_PROCESS_STDIO_MAXBUFFER') {
+          reject(new Error(`Output of ${linkContent} is larger than maxFileSize (${maxFileSize} bytes). Narrow it, e.g. with -- <path>.`));
+        } else if (error.killed) {
+          reject(new Error(`git took longer than ${GIT_TIMEOUT_MS / 1000}s for ${linkContent}`));
+        } else if (/not a git repository/i.test(stderr)) {
+          reject(new Error('Root path is not inside a git repository'));
+        } else {
+          reject(new Error(`git failed: ${(stderr || error.message).trim().split('\n')[0]}`));
+        }
+      });
+      child.stdin.end();
+    });
+  }
+}
+
+module.exports = GitLinks;
@@ -0,0 +1,66 @@
+const chokidar = require('chokidar');
+const path = require('path');
+const EventEmitter = require('events');
+
+// Watches the prompt library (libraryPath in /settings) for edits made outside the app,
+// e.g. in an editor or by a git pull, and emits libraryChanged(kind) with prompt or substitute
+class LibraryWatcher extends EventEmitter {
+  constructor(logger) {
+    super();
+    this.logger = logger;
+    this.watcher = null;
+    this.libraryDir = null;
+  }
+
+  // libraryDir is null when prompts and substitutes are kept in the JSON files
+  start(libraryDir) {
+    if (libraryDir === this.libraryDir) {
+      return;
+    }
+    this.stop();
+    this.libraryDir = libraryDir;
+    if (!libraryDir) {
+      return;
+    }
+
+    const folders = { prompts: 'prompt', subs: 'substitute' };
+    this.watcher = chokidar.watch(Object.keys(folders).map(folder => path.join(libraryDir, folder, '*.md')), {
+      ignored: /(^|[\/\\])\../, // ignore dotfiles
+      persistent: true,
+      ignoreInitial: true,
+      followSymlinks: false,
+      // Editors often write a file in several steps; wait until it settles before reading it
+      awaitWriteFinish: { stabilityThreshold: 200, pollInterval: 50 }
+    });
+
+    const onChange = (filePath) => {
+      const kind = folders[path.basename(path.dirname(filePath))];
+      if (kind) {
+        this.logger.debug(`Library file changed: ${filePath}`);
+        this.emit('libraryChanged', kind);
+      }
+    };
+
+    this.watcher
+      .on('add', onChange)
+      .on('change', onChange)
+      .on('unlink', onChange)
+      .on('error', (error) => {
+        this.logger.error('Library watcher error:', error);
+      })
+      .on('ready', () => {
+        this.logger.info(`Library watcher initialized: ${libraryDir}`);
+      });
+  }
+
+  stop() {
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+      this.logger.info('Library watcher stopped');
+    }
+    this.libraryDir = null;
+  }
+}
+
+module.exports = LibraryWatcher;
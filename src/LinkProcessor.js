@@ -1,189 +1,965 @@
 const fs = require('fs-extra');
 const path = require('path');
+const picomatch = require('picomatch');
+const TextFilters = require('./TextFilters');
+const FileRenderers = require('./FileRenderers');
+const LinkSyntax = require('./LinkSyntax');
+const ResolutionCache = require('./ResolutionCache');
+const DynamicLinks = require('./DynamicLinks');
+const GitLinks = require('./GitLinks');
+const { IGNORED_PATHS } = require('./FileWatcher');
+
+// Code fence language hints for @fence, keyed by file extension
+const FENCE_LANGUAGES = {
+  '.md': 'markdown',
+  '.txt': 'text',
+  '.js': 'javascript',
+  '.mjs': 'javascript',
+  '.cjs': 'javascript',
+  '.jsx': 'jsx',
+  '.ts': 'typescript',
+  '.tsx': 'tsx',
+  '.py': 'python',
+  '.rb': 'ruby',
+  '.go': 'go',
+  '.rs': 'rust',
+  '.java': 'java',
+  '.c': 'c',
+  '.h': 'c',
+  '.cpp': 'cpp',
+  '.cs': 'csharp',
+  '.php': 'php',
+  '.sh': 'bash',
+  '.sql': 'sql',
+  '.json': 'json',
+  '.yaml': 'yaml',
+  '.yml': 'yaml',
+  '.toml': 'toml',
+  '.xml': 'xml',
+  '.html': 'html',
+  '.css': 'css',
+  '.csv': 'csv'
+};
+
+const WRAP_MODES = LinkSyntax.WRAP_MODES;
+
+// Only prose files are scanned for nested {{links}}; code and data files are included verbatim
+const LINKABLE_EXTENSIONS = ['.md', '.txt'];
+
+// {{$name}} and {{$name=default}} argument placeholders
+const ARGUMENT_PATTERN = /\{\{\s*\$([\w-]+)(?:\s*=([^}]*))?\s*\}\}/g;
 
 class LinkProcessor {
   constructor(dataManager, logger) {
     this.dataManager = dataManager;
     this.logger = logger;
     this.maxDepth = 10; // Prevent infinite recursion
+    this.textFilters = new TextFilters(logger);
+    this.fileRenderers = new FileRenderers(logger);
+    this.dynamicLinks = new DynamicLinks(dataManager, this, logger);
+    this.gitLinks = new GitLinks(dataManager, this, logger);
+    this.cache = new ResolutionCache(logger);
+  }
+
+  // Cache hooks: FileWatcher's fileChanged, substitute saves and root changes call these
+  invalidateFile(filePath) {
+    this.cache.invalidateFile(filePath);
+  }
+
+  invalidateSubstitutes() {
+    this.cache.invalidateExpansions();
+  }
+
+  clearCache() {
+    this.cache.clear();
   }
 
-  async processLinks(content, depth = 0) {
+  getCacheStats() {
+    return this.cache.getStats();
+  }
+
+  // `context.wrap` is the default wrap mode for file includes, set by a {{@wrap:mode}} directive
+  async processLinks(content, depth = 0, context = {}) {
+    const { text } = await this.expandContent(content, depth, context);
+    return text;
+  }
+
+  // Expand content and return a source map alongside it. Each span is
+  // { start, end, depth, source } with offsets into `processed`; spans nest, and
+  // `source` says where the text came from (prompt, substitute, file, folder or error).
+  async processLinksWithSourceMap(content, rootSource = { type: 'prompt', name: null }) {
+    const rendered = this.withSource(await this.expandContent(content, 0, {}), rootSource);
+    return { processed: rendered.text, spans: rendered.spans };
+  }
+
+  // Rendered pieces are { text, spans, volatile } with span offsets relative to `text`.
+  // `volatile` marks output that must not be cached (it was cut off by the depth limit,
+  // or includes a dynamic or git link).
+  async expandContent(content, depth = 0, context = {}) {
     if (depth > this.maxDepth) {
       this.logger.warn(`Maximum recursion depth (${this.maxDepth}) reached while processing links`);
-      return content;
+      return { text: content, spans: [], volatile: true };
     }
 
-    const linkPattern = /\{\{([^}]+)\}\}/g;
-    let processed = content;
-    const matches = [...content.matchAll(linkPattern)];
+    // Escaped \{{...}} and {{raw}} blocks come through as literal segments
+    const segments = LinkSyntax.scan(content);
+    const links = segments.filter(segment => segment.type === 'link');
     
-    this.logger.debug(`Processing ${matches.length} links at depth ${depth}`);
+    this.logger.debug(`Processing ${links.length} links at depth ${depth}`);
+
+    // A {{@wrap:xml}} directive sets the wrap mode for every file included from this content
+    for (const link of links) {
+      const directive = this.parseWrapDirective(link.content);
+      if (directive) {
+        context = { ...context, wrap: directive };
+      }
+    }
 
-    for (const match of matches) {
-      const linkContent = match[1].trim();
-      const fullMatch = match[0];
+    const output = [];
+    const spans = [];
+    let length = 0;
+    let volatile = false;
+    for (const segment of segments) {
+      if (segment.type !== 'link') {
+        output.push(segment.text);
+        length += segment.text.length;
+        continue;
+      }
+
+      const linkContent = segment.content;
+      if (this.parseWrapDirective(linkContent)) {
+        continue;
+      }
       
       try {
-        const replacement = await this.resolveLink(linkContent, depth + 1);
-        processed = processed.replace(fullMatch, replacement);
-        this.logger.debug(`Resolved link: ${linkContent} -> ${replacement.substring(0, 100)}...`);
+        const replacement = await this.renderLink(linkContent, depth + 1, context);
+        output.push(replacement.text);
+        spans.push(...this.shiftSpans(replacement.spans, length));
+        length += replacement.text.length;
+        volatile = volatile || Boolean(replacement.volatile) || this.isUnwatchedLink(this.getLinkTarget(linkContent));
+        this.logger.debug(`Resolved link: ${linkContent} -> ${replacement.text.substring(0, 100)}...`);
       } catch (error) {
         this.logger.error(`Failed to resolve link: ${linkContent}`, error);
         // Keep the original link if resolution fails
         const errorReplacement = `{{${linkContent}}} [ERROR: ${error.message}]`;
-        processed = processed.replace(fullMatch, errorReplacement);
+        output.push(errorReplacement);
+        spans.push({
+          start: length,
+          end: length + errorReplacement.length,
+          depth: 0,
+          source: { type: 'error', link: linkContent, message: error.message }
+        });
+        length += errorReplacement.length;
+        // Dynamic and git links may work next time, e.g. once the folder exists or after git init,
+        // so their errors are not cached either
+        const target = this.getLinkTarget(linkContent);
+        volatile = volatile || target.startsWith('@') || this.gitLinks.isGitLink(target) || this.isUnwatchedLink(target);
       }
     }
 
-    return processed;
+    return { text: output.join(''), spans, volatile };
   }
 
-  async resolveLink(linkContent, depth) {
-    // First check if it's a substitute
-    const substitutes = this.dataManager.getSubstitutes();
-    if (substitutes[linkContent]) {
-      this.logger.debug(`Found substitute: ${linkContent}`);
-      return await this.processLinks(substitutes[linkContent], depth);
+  async resolveLink(linkContent, depth, context = {}) {
+    const { text } = await this.renderLink(linkContent, depth, context);
+    return text;
+  }
+
+  async renderLink(linkContent, depth, context = {}) {
+    // "target | filter | filter @wrap": filters and wrapping are applied to the resolved target
+    const { link, wrap } = this.splitWrapModifier(linkContent);
+    const [target, ...filters] = this.splitPipes(link);
+    const format = { filters, wrap, defaultWrap: context.wrap || null };
+    return await this.resolveTarget(target, depth, format, context);
+  }
+
+  // Cover a rendered piece with one span for its source, nesting the spans it already has
+  withSource(rendered, source) {
+    return {
+      text: rendered.text,
+      spans: [
+        { start: 0, end: rendered.text.length, depth: 0, source },
+        ...rendered.spans.map(span => ({ ...span, depth: span.depth + 1 }))
+      ],
+      volatile: Boolean(rendered.volatile)
+    };
+  }
+
+  shiftSpans(spans, offset, maxEnd = Infinity) {
+    return spans.map(span => ({
+      ...span,
+      start: Math.min(span.start, maxEnd) + offset,
+      end: Math.min(span.end, maxEnd) + offset
+    }));
+  }
+
+  // "{{@wrap:xml}}" -> { mode: 'xml', language: null }
+  parseWrapDirective(linkContent) {
+    const match = linkContent.match(/^@wrap:(\w+)(?::([\w+#.-]+))?$/);
+    if (!match || !WRAP_MODES.includes(match[1])) return null;
+
+    return { mode: match[1], language: match[2] || null };
+  }
+
+  // Pull a trailing " @fence", " @fence:python", " @xml" or " @plain" modifier off a link
+  splitWrapModifier(linkContent) {
+    return LinkSyntax.splitWrapModifier(linkContent);
+  }
+
+  // Filters then wrapping for one resolved piece of content, covered by a span for its source.
+  // The prompt-wide default wrap only applies to files; substitutes are wrapped only when asked.
+  // Filters rewrite the text, so nested spans are dropped once a filter has run.
+  formatContent(rendered, format, source, fenceLanguage = null) {
+    let { text, spans } = rendered;
+
+    if (format.filters.length > 0) {
+      text = this.textFilters.apply(text, format.filters);
+      spans = [];
+      source = { ...source, filters: format.filters };
     }
 
-    // Check if it's a folder wildcard pattern (folder/*)
-    if (linkContent.endsWith('/*')) {
-      return await this.resolveFolderWildcard(linkContent, depth);
+    const wrap = format.wrap || (source.path ? format.defaultWrap : null);
+    if (wrap) {
+      const wrapped = this.wrapContent(text, wrap, source, fenceLanguage);
+      spans = this.shiftSpans(spans, wrapped.offset, wrapped.bodyLength);
+      text = wrapped.text;
     }
 
-    // Then check if it's a file path
-    const rootPath = this.dataManager.getRootPath();
-    if (!rootPath) {
-      throw new Error('Root path not set. Use /root command to set the root directory.');
+    return this.withSource({ text, spans, volatile: rendered.volatile }, source);
+  }
+
+  // Returns the wrapped text plus where the original body sits inside it
+  wrapContent(content, wrap, source, fenceLanguage) {
+    const body = content.replace(/\n+$/, '');
+    let opening;
+    let closing;
+
+    switch (wrap.mode) {
+      case 'fence': {
+        const language = wrap.language || fenceLanguage || (source.path ? this.getFenceLanguage(source.path) : '') || '';
+        // Use a fence longer than any backtick run inside the content
+        const longestRun = Math.max(2, ...(body.match(/`+/g) || []).map(run => run.length));
+        const fence = '`'.repeat(longestRun + 1);
+        opening = `${fence}${language}\n`;
+        closing = `\n${fence}`;
+        break;
+      }
+      case 'xml': {
+        const attribute = source.path
+          ? `path="${this.escapeAttribute(source.path)}"`
+          : `name="${this.escapeAttribute(source.name)}"`;
+        opening = `<document ${attribute}>\n`;
+        closing = '\n</document>';
+        break;
+      }
+      default:
+        return { text: content, offset: 0, bodyLength: content.length };
     }
 
-    let filePath;
-    if (path.isAbsolute(linkContent)) {
-      filePath = linkContent;
-    } else {
-      filePath = path.resolve(rootPath, linkContent);
+    return { text: opening + body + closing, offset: opening.length, bodyLength: body.length };
+  }
+
+  getFenceLanguage(filePath) {
+    return FENCE_LANGUAGES[path.extname(filePath).toLowerCase()] || null;
+  }
+
+  escapeAttribute(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/"/g, '&quot;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+  }
+
+  // Split "notes.md | head:50 | indent:2" on pipes that are not inside quotes or a /regex/ slice
+  splitPipes(linkContent) {
+    return LinkSyntax.splitPipes(linkContent);
+  }
+
+  // The part of a link before any filters or wrap modifier, or the whole link if it cannot be split
+  getLinkTarget(linkContent) {
+    return LinkSyntax.getLinkTarget(linkContent);
+  }
+
+  async resolveTarget(linkContent, depth, format, context) {
+    // Valid {{@wrap:mode}} directives never get here
+    if (linkContent.startsWith('@wrap:')) {
+      throw new Error(`Unknown wrap mode: ${linkContent.slice(6)}. Use one of: ${WRAP_MODES.join(', ')}`);
+    }
+
+    // A fill-in variable that was not filled before rendering
+    const variable = LinkSyntax.parseVariable(linkContent);
+    if (variable) {
+      throw new Error(`No value for fill-in variable "${variable.name}". Fill-in variables are asked for when a prompt is previewed.`);
+    }
+
+    // An argument placeholder that survived binding has no value to take
+    if (linkContent.startsWith('$')) {
+      throw new Error(`Unbound argument: ${linkContent}. Pass it when calling the substitute or prompt, e.g. /prompt-name key=value.`);
+    }
+
+    // Computed values such as {{@date}} or {{@tree:docs}}, never cached
+    if (linkContent.startsWith('@')) {
+      const text = await this.dynamicLinks.resolve(linkContent);
+      return this.formatContent({ text, spans: [], volatile: true }, format, { type: 'dynamic', name: linkContent });
     }
 
-    // Validate file path is within root directory (security check)
-    const normalizedRoot = path.resolve(rootPath);
-    const normalizedFile = path.resolve(filePath);
-    if (!normalizedFile.startsWith(normalizedRoot)) {
-      throw new Error(`File path outside root directory: ${linkContent}`);
+    // First check if it's a substitute, optionally called with arguments
+    const substitutes = this.dataManager.getSubstitutes();
+    const call = this.parseSubstituteCall(linkContent, substitutes);
+    if (call) {
+      this.logger.debug(`Found substitute: ${call.name}`, call.args);
+      const body = this.bindArguments(substitutes[call.name], call.args, call.name);
+
+      const cacheKey = this.cache.expansionKey('substitute', body, context.wrap);
+      let expanded = this.cache.getExpansion(cacheKey);
+      if (!expanded) {
+        expanded = await this.expandContent(body, depth, context);
+        if (!expanded.volatile) {
+          this.cache.setExpansion(cacheKey, expanded);
+        }
+      }
+      return this.formatContent(expanded, format, { type: 'substitute', name: call.name, args: call.args });
     }
 
+    // git:diff, git:log, git:show and git:status run against the root; the repository
+    // changes without the file watcher seeing it, so the output is never cached
+    if (this.gitLinks.isGitLink(linkContent)) {
+      const { text, language } = await this.gitLinks.resolve(linkContent);
+      return this.formatContent({ text, spans: [], volatile: true }, format, { type: 'git', name: linkContent }, language);
+    }
+
+    // Check if it's a glob pattern (folder/*, docs/**/*.md !docs/drafts/**)
+    if (await this.isGlobPattern(linkContent)) {
+      return await this.resolveGlob(linkContent, depth, format, context);
+    }
+
+    // Then check if it's a file path
+    const { linkPath, selector, filePath } = await this.resolveFilePath(linkContent);
+
     // Check if file exists
     if (!await fs.pathExists(filePath)) {
-      throw new Error(`File not found: ${linkContent}`);
+      throw new Error(`File not found: ${linkPath}`);
+    }
+
+    let fileContent = await this.readIncludableFile(filePath, linkPath);
+    const ext = path.extname(filePath).toLowerCase();
+
+    // Slices work on the raw lines; whole structured files get a readable rendering
+    let lines = [1, fileContent.split('\n').length];
+    let language = null;
+    if (selector) {
+      ({ text: fileContent, lines } = this.applySelector(fileContent, selector, linkPath));
+    } else if (this.fileRenderers.canRender(ext)) {
+      fileContent = this.fileRenderers.render(fileContent, ext, linkPath);
+      language = ext === '.json' ? 'json' : 'markdown';
+    }
+
+    const expanded = await this.expandFileContent(fileContent, ext, depth, context);
+    return this.formatContent(expanded, format, { type: 'file', path: linkPath, lines }, language);
+  }
+
+  // Split an optional root prefix off a path: "docs:design.md" is design.md in the root named
+  // docs. Paths without a known root name are in the default root.
+  resolveRoot(linkPath) {
+    const match = linkPath.match(/^([\w-]+):([\s\S]*)$/);
+    const named = match !== null && Object.prototype.hasOwnProperty.call(this.dataManager.getRoots(), match[1]);
+    const rootName = named ? match[1] : this.dataManager.getDefaultRoot();
+    const rootPath = this.dataManager.getRootPath(rootName);
+    if (!rootPath) {
+      throw new Error('Root path not set. Use /root command to add a root folder.');
+    }
+
+    return {
+      rootName,
+      normalizedRoot: path.resolve(rootPath),
+      prefix: named ? `${rootName}:` : '',
+      relativePath: named ? match[2].trim() : linkPath
+    };
+  }
+
+  // How a root-relative path is written in a link: bare for the default root, "name:path" otherwise
+  toLinkPath(rootName, relativePath) {
+    return rootName === this.dataManager.getDefaultRoot() ? relativePath : `${rootName}:${relativePath}`;
+  }
+
+  isInsideRoot(filePath, normalizedRoot) {
+    return filePath === normalizedRoot || filePath.startsWith(normalizedRoot + path.sep);
+  }
+
+  // Resolve a file link against its root, enforcing that root's boundary.
+  // A #Heading, :120-180 or :/start/,/end/ suffix comes back as the selector.
+  async resolveFilePath(linkContent) {
+    const { rootName, normalizedRoot, prefix, relativePath } = this.resolveRoot(linkContent);
+    const { linkPath: innerPath, selector } = await this.splitSelector(relativePath, normalizedRoot);
+    const linkPath = prefix + innerPath;
+
+    // Validate file path is within its root directory (security check)
+    const normalizedFile = path.resolve(normalizedRoot, innerPath);
+    if (!this.isInsideRoot(normalizedFile, normalizedRoot)) {
+      throw new Error(`File path outside root directory: ${linkPath}`);
+    }
+
+    return {
+      linkPath,
+      selector,
+      filePath: normalizedFile,
+      rootName,
+      canonicalPath: this.toLinkPath(rootName, path.relative(normalizedRoot, normalizedFile).split(path.sep).join('/'))
+    };
+  }
+
+  // Links are only followed inside prose files
+  isLinkableExtension(ext) {
+    return LINKABLE_EXTENSIONS.includes(ext);
+  }
+
+  async expandFileContent(content, ext, depth, context) {
+    if (!this.isLinkableExtension(ext)) {
+      return { text: content, spans: [] };
     }
+    return await this.expandContent(content, depth, context);
+  }
 
-    // Check file extension
+  isAllowedExtension(ext) {
+    const { allowedExtensions } = this.dataManager.getSettings();
+    return allowedExtensions.map(allowed => allowed.toLowerCase()).includes(ext);
+  }
+
+  // Read a text file after checking its type against the allow-list, its size and that it isn't binary
+  async readIncludableFile(filePath, displayPath) {
     const ext = path.extname(filePath).toLowerCase();
-    if (!['.md', '.txt'].includes(ext)) {
-      throw new Error(`Unsupported file type: ${ext}. Only .md and .txt files are supported.`);
+    if (!this.isAllowedExtension(ext)) {
+      const { allowedExtensions } = this.dataManager.getSettings();
+      throw new Error(`Unsupported file type: ${ext || '(none)'}. Allowed types: ${allowedExtensions.join(', ')} (see /settings).`);
     }
 
-    // Read and process file content
+    let stat;
+    let buffer;
     try {
-      const fileContent = await fs.readFile(filePath, 'utf8');
-      this.logger.debug(`Read file: ${filePath} (${fileContent.length} characters)`);
-      
-      // Recursively process any links in the file content
-      return await this.processLinks(fileContent, depth);
+      stat = await fs.stat(filePath);
+      const { maxFileSize } = this.dataManager.getSettings();
+      if (stat.size > maxFileSize) {
+        throw new Error(`File is ${Math.ceil(stat.size / 1024)} KB, over the ${Math.floor(maxFileSize / 1024)} KB limit (maxFileSize in /settings)`);
+      }
+
+      const cached = this.cache.getFile(filePath, stat);
+      if (cached !== undefined) {
+        return cached;
+      }
+      buffer = await fs.readFile(filePath);
     } catch (error) {
-      throw new Error(`Failed to read file: ${linkContent} - ${error.message}`);
+      throw new Error(`Failed to read file: ${displayPath} - ${error.message}`);
     }
+
+    // A NUL byte in the first 8 KB is a reliable sign of a binary file
+    if (buffer.subarray(0, 8192).includes(0)) {
+      throw new Error(`Binary file refused: ${displayPath}`);
+    }
+
+    const fileContent = buffer.toString('utf8');
+    this.cache.setFile(filePath, stat, fileContent);
+    this.logger.debug(`Read file: ${filePath} (${fileContent.length} characters)`);
+    return fileContent;
   }
 
-  async resolveFolderWildcard(linkContent, depth) {
-    const folderPath = linkContent.slice(0, -2); // Remove the /*
-    const rootPath = this.dataManager.getRootPath();
-    
-    if (!rootPath) {
-      throw new Error('Root path not set. Use /root command to set the root directory.');
+  // Split a link into the file path and an optional slice selector:
+  //   notes/design.md#API Changes   -> markdown section
+  //   src/log.txt:120-180           -> line range (1-based, inclusive; "120-" runs to the end)
+  //   notes.md:/^## TODO/,/^## /    -> from the first regex match up to the next end match
+  // A path that exists as written (even with a # or : in it) is never split.
+  async splitSelector(linkContent, rootPath) {
+    const wholePath = path.isAbsolute(linkContent) ? linkContent : path.resolve(rootPath, linkContent);
+    if (await fs.pathExists(wholePath)) {
+      return { linkPath: linkContent, selector: null };
     }
 
-    let fullFolderPath;
-    if (path.isAbsolute(folderPath)) {
-      fullFolderPath = folderPath;
-    } else {
-      fullFolderPath = path.resolve(rootPath, folderPath);
+    const regexMatch = linkContent.match(/^(.+?):\/((?:\\.|[^\\/])+)\/([imsu]*)(?:,\/((?:\\.|[^\\/])+)\/([imsu]*))?$/s);
+    if (regexMatch) {
+      try {
+        return {
+          linkPath: regexMatch[1].trim(),
+          selector: {
+            type: 'regex',
+            start: new RegExp(regexMatch[2], regexMatch[3]),
+            end: regexMatch[4] ? new RegExp(regexMatch[4], regexMatch[5]) : null
+          }
+        };
+      } catch (error) {
+        throw new Error(`Invalid slice pattern in ${linkContent}: ${error.message}`);
+      }
+    }
+
+    const lineMatch = linkContent.match(/^(.+?):(\d+)(?:-(\d*))?$/);
+    if (lineMatch) {
+      const startLine = parseInt(lineMatch[2], 10);
+      let endLine = startLine;
+      if (lineMatch[3] !== undefined) {
+        endLine = lineMatch[3] === '' ? Infinity : parseInt(lineMatch[3], 10);
+      }
+      if (startLine < 1 || endLine < startLine) {
+        throw new Error(`Invalid line range in ${linkContent}. Use start-end with 1 <= start <= end.`);
+      }
+      return {
+        linkPath: lineMatch[1].trim(),
+        selector: { type: 'lines', start: startLine, end: endLine }
+      };
     }
 
-    // Validate folder path is within root directory (security check)
-    const normalizedRoot = path.resolve(rootPath);
-    const normalizedFolder = path.resolve(fullFolderPath);
-    if (!normalizedFolder.startsWith(normalizedRoot)) {
-      throw new Error(`Folder path outside root directory: ${folderPath}`);
+    const anchorIndex = linkContent.indexOf('#');
+    if (anchorIndex > 0) {
+      return {
+        linkPath: linkContent.slice(0, anchorIndex).trim(),
+        selector: { type: 'section', heading: linkContent.slice(anchorIndex + 1).trim() }
+      };
     }
 
-    // Check if folder exists
-    if (!await fs.pathExists(fullFolderPath)) {
-      throw new Error(`Folder not found: ${folderPath}`);
+    return { linkPath: linkContent, selector: null };
+  }
+
+  // Returns { text, lines: [firstLine, lastLine] } with 1-based line numbers in the source file
+  applySelector(content, selector, linkPath) {
+    switch (selector.type) {
+      case 'section':
+        return this.extractSection(content, selector.heading, linkPath);
+      case 'lines':
+        return this.extractLineRange(content, selector.start, selector.end, linkPath);
+      case 'regex':
+        return this.extractRegexSlice(content, selector.start, selector.end, linkPath);
+      default:
+        throw new Error(`Unknown selector type: ${selector.type}`);
+    }
+  }
+
+  extractLineRange(content, startLine, endLine, linkPath) {
+    const lines = content.split('\n');
+    if (startLine > lines.length) {
+      throw new Error(`Line ${startLine} is past the end of ${linkPath} (${lines.length} lines)`);
+    }
+
+    const lastLine = Math.min(endLine, lines.length);
+    return { text: lines.slice(startLine - 1, lastLine).join('\n'), lines: [startLine, lastLine] };
+  }
+
+  // From the first line matching `start` up to, but not including, the next line matching `end`
+  extractRegexSlice(content, start, end, linkPath) {
+    const lines = content.split('\n');
+    const startIndex = lines.findIndex(line => start.test(line));
+    if (startIndex === -1) {
+      throw new Error(`No line matches ${start} in ${linkPath}`);
+    }
+
+    let endIndex = lines.length;
+    if (end) {
+      const offset = lines.slice(startIndex + 1).findIndex(line => end.test(line));
+      if (offset !== -1) {
+        endIndex = startIndex + 1 + offset;
+      }
+    }
+
+    return { text: lines.slice(startIndex, endIndex).join('\n'), lines: [startIndex + 1, endIndex] };
+  }
+
+  // Return the lines from a heading up to the next heading of the same or higher level
+  extractSection(content, heading, linkPath) {
+    const lines = content.split('\n');
+    const headings = [];
+    let inCodeFence = false;
+
+    lines.forEach((line, index) => {
+      if (/^\s*(```|~~~)/.test(line)) {
+        inCodeFence = !inCodeFence;
+        return;
+      }
+      if (inCodeFence) return;
+
+      const match = line.match(/^(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/);
+      if (match) {
+        headings.push({ level: match[1].length, text: match[2], index });
+      }
+    });
+
+    const wanted = heading.toLowerCase();
+    const startIndex = headings.findIndex(h => h.text.toLowerCase() === wanted);
+    if (startIndex === -1) {
+      const available = headings.length > 0 ? headings.map(h => h.text).join(', ') : 'none';
+      throw new Error(`Section not found: "${heading}" in ${linkPath}. Available headings: ${available}`);
+    }
+
+    const start = headings[startIndex];
+    const next = headings.slice(startIndex + 1).find(h => h.level <= start.level);
+    const endIndex = next ? next.index : lines.length;
+    const sectionLines = lines.slice(start.index, endIndex);
+
+    this.logger.debug(`Extracted section "${heading}" from ${linkPath} (${sectionLines.length} lines)`);
+    return { text: sectionLines.join('\n').replace(/\s+$/, ''), lines: [start.index + 1, endIndex] };
+  }
+
+  async isGlobPattern(linkContent) {
+    // Section and slice links can carry glob characters in their heading or regex
+    if (linkContent.includes('#') || /:\/|:\d+(-\d*)?$/.test(linkContent)) {
+      return false;
     }
 
-    const stat = await fs.stat(fullFolderPath);
-    if (!stat.isDirectory()) {
-      throw new Error(`Path is not a directory: ${folderPath}`);
+    const looksLikeGlob = this.splitGlobPatterns(linkContent).some(token =>
+      token.startsWith('!') || picomatch.scan(token).isGlob
+    );
+    if (!looksLikeGlob) {
+      return false;
     }
 
-    // Read all files in the folder
+    // A path that exists as written, e.g. "notes/file (1).md", is a file link like any other
     try {
-      const files = await fs.readdir(fullFolderPath);
-      const supportedFiles = files.filter(file => {
+      const { normalizedRoot, relativePath } = this.resolveRoot(linkContent);
+      return !await fs.pathExists(path.resolve(normalizedRoot, relativePath));
+    } catch (error) {
+      return true;
+    }
+  }
+
+  // The patterns of a glob link. The link is one pattern, spaces and all, as in {{My Notes/*}};
+  // it is split into several only when a token is a !negation or the patterns are quoted.
+  splitGlobPatterns(text) {
+    const tokens = this.tokenize(text);
+    const quoted = tokens.join(' ') !== text.trim().split(/\s+/).join(' ');
+    return quoted || tokens.some(token => token.startsWith('!')) ? tokens : [text.trim()];
+  }
+
+  // Expand one or more glob patterns relative to the root. Tokens starting with ! exclude matches.
+  // Filters and wrapping apply to each matched file separately.
+  async resolveGlob(linkContent, depth, format, context) {
+    const { normalizedRoot, rootName, files: supportedFiles } = await this.matchGlob(linkContent);
+
+    const globSource = { type: 'folder', pattern: linkContent };
+    if (supportedFiles.length === 0) {
+      this.logger.warn(`No supported files matched: ${linkContent}`);
+      return this.withSource({ text: `[No supported files found in ${linkContent}]`, spans: [] }, globSource);
+    }
+
+    const { maxGlobFiles } = this.dataManager.getSettings();
+    if (supportedFiles.length > maxGlobFiles) {
+      throw new Error(`Pattern matches ${supportedFiles.length} files, more than the limit of ${maxGlobFiles}. Narrow the pattern or raise maxGlobFiles in /settings.`);
+    }
+
+    this.logger.debug(`Found ${supportedFiles.length} files for pattern: ${linkContent}`);
+
+    // Read, expand and format each file, then combine them
+    const wrap = format.wrap || format.defaultWrap;
+    const combinedContent = [];
+    const spans = [];
+    let length = 0;
+    let volatile = false;
+    const append = (text, sectionSpans = [], sectionVolatile = false) => {
+      volatile = volatile || sectionVolatile;
+      spans.push(...this.shiftSpans(sectionSpans, length));
+      combinedContent.push(text);
+      length += text.length;
+    };
+
+    for (const file of supportedFiles) {
+      const displayPath = this.toLinkPath(rootName, file);
+      let section;
+      try {
         const ext = path.extname(file).toLowerCase();
-        return ['.md', '.txt'].includes(ext);
-      }).sort(); // Sort for consistent ordering
+        let fileContent = await this.readIncludableFile(path.join(normalizedRoot, file), displayPath);
+        const lines = [1, fileContent.split('\n').length];
+        let language = null;
+        if (this.fileRenderers.canRender(ext)) {
+          fileContent = this.fileRenderers.render(fileContent, ext, displayPath);
+          language = ext === '.json' ? 'json' : 'markdown';
+        }
+
+        const expanded = await this.expandFileContent(fileContent, ext, depth, context);
+        section = this.formatContent(expanded, format, { type: 'file', path: displayPath, lines }, language);
+      } catch (error) {
+        this.logger.error(`Failed to include file ${displayPath} for pattern ${linkContent}:`, error);
+        section = this.withSource(
+          { text: `[ERROR: ${error.message}]\n`, spans: [] },
+          { type: 'error', link: displayPath, message: error.message }
+        );
+      }
 
-      if (supportedFiles.length === 0) {
-        this.logger.warn(`No supported files (.md, .txt) found in folder: ${folderPath}`);
-        return `[No supported files found in ${folderPath}]`;
+      // XML documents carry their own path; everything else gets a header
+      const isDocument = wrap && wrap.mode === 'xml' && section.text.startsWith('<document');
+      if (!isDocument) {
+        append(`\n--- ${displayPath} ---\n`);
       }
+      append(section.text, section.spans, section.volatile);
+      if (isDocument || (wrap && wrap.mode === 'fence')) {
+        append('\n');
+      }
+    }
 
-      this.logger.debug(`Found ${supportedFiles.length} files in folder: ${folderPath}`);
+    return this.withSource({ text: combinedContent.join(''), spans, volatile }, globSource);
+  }
 
-      // Read and combine all file contents
-      const combinedContent = [];
-      for (const file of supportedFiles) {
-        const filePath = path.join(fullFolderPath, file);
-        try {
-          const fileContent = await fs.readFile(filePath, 'utf8');
-          
-          // Add a header for each file
-          combinedContent.push(`\n--- ${file} ---\n`);
-          combinedContent.push(fileContent);
-          
-          this.logger.debug(`Read file from folder: ${file} (${fileContent.length} characters)`);
-        } catch (error) {
-          this.logger.error(`Failed to read file ${file} from folder ${folderPath}:`, error);
-          combinedContent.push(`\n--- ${file} ---\n[ERROR: Failed to read file - ${error.message}]\n`);
+  // Root-relative paths of the allowed files a glob link matches, in a stable order.
+  // A root prefix on the link, as in {{docs:**/*.md !drafts/**}}, applies to every pattern.
+  async matchGlob(linkContent) {
+    const { rootName, normalizedRoot, relativePath } = this.resolveRoot(linkContent);
+    const toPattern = (token) => {
+      const absolute = path.resolve(normalizedRoot, token);
+      if (absolute !== normalizedRoot && !absolute.startsWith(normalizedRoot + path.sep)) {
+        throw new Error(`Folder path outside root directory: ${token}`);
+      }
+      return path.relative(normalizedRoot, absolute).split(path.sep).join('/');
+    };
+
+    const tokens = this.splitGlobPatterns(relativePath);
+    const includes = tokens.filter(token => !token.startsWith('!')).map(toPattern);
+    const excludes = tokens.filter(token => token.startsWith('!')).map(token => toPattern(token.slice(1)));
+    if (includes.length === 0) {
+      throw new Error(`Glob needs at least one pattern that is not a negation: ${linkContent}`);
+    }
+
+    const isIncluded = picomatch(includes);
+    const isExcluded = excludes.length > 0 ? picomatch(excludes) : () => false;
+
+    // Only walk the part of the tree each pattern can reach
+    const candidates = new Set();
+    for (const pattern of includes) {
+      const { base, glob } = picomatch.scan(pattern);
+      const baseDir = path.join(normalizedRoot, base);
+
+      if (!await fs.pathExists(baseDir)) {
+        throw new Error(`Folder not found: ${base || '.'}`);
+      }
+      const stat = await fs.stat(baseDir);
+      if (!stat.isDirectory()) {
+        throw new Error(`Path is not a directory: ${base}`);
+      }
+
+      const maxDepth = glob.includes('**') ? Infinity : glob.split('/').length;
+      await this.walkFiles(baseDir, normalizedRoot, maxDepth, candidates);
+    }
+
+    const files = [...candidates]
+      .filter(file => isIncluded(file) && !isExcluded(file))
+      .filter(file => this.isAllowedExtension(path.extname(file).toLowerCase()))
+      .sort(); // Sort for consistent ordering
+
+    return { normalizedRoot, rootName, files };
+  }
+
+  // Collect root-relative (forward-slash) paths of regular files, skipping dotfiles and symlinks
+  async walkFiles(dir, rootPath, maxDepth, files, currentDepth = 1) {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    for (const entry of entries) {
+      if (entry.name.startsWith('.')) continue;
+
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (currentDepth < maxDepth) {
+          await this.walkFiles(fullPath, rootPath, maxDepth, files, currentDepth + 1);
         }
+      } else if (entry.isFile()) {
+        files.add(path.relative(rootPath, fullPath).split(path.sep).join('/'));
       }
+    }
+    return files;
+  }
 
-      const result = combinedContent.join('');
-      
-      // Recursively process any links in the combined content
-      return await this.processLinks(result, depth);
+  // The file watcher never reports changes to dotfiles or files under a dot folder, so
+  // file and glob links there (found or not) are read again on every render
+  isUnwatchedLink(target) {
+    if (/^[@$?]/.test(target) || this.gitLinks.isGitLink(target) || this.getSubstituteName(target, this.dataManager.getSubstitutes()) !== null) {
+      return false;
+    }
+    try {
+      const { normalizedRoot, relativePath } = this.resolveRoot(target);
+      return this.splitGlobPatterns(relativePath)
+        .some(pattern => IGNORED_PATHS.test(path.resolve(normalizedRoot, pattern.replace(/^!/, ''))));
     } catch (error) {
-      throw new Error(`Failed to read folder: ${folderPath} - ${error.message}`);
+      return false;
     }
   }
 
-  // Extract all links from content for validation/preview
-  extractLinks(content) {
-    const linkPattern = /\{\{([^}]+)\}\}/g;
+  // Split link content into whitespace-separated tokens, honouring "double" and 'single' quotes.
+  // A quote with no closing match is an ordinary character, so /ask don't works.
+  tokenize(text) {
+    const tokens = [];
+    let current = '';
+    let quote = null;
+    let hasToken = false;
+
+    for (let index = 0; index < text.length; index++) {
+      const char = text[index];
+      if (quote) {
+        if (char === quote) {
+          quote = null;
+        } else {
+          current += char;
+        }
+      } else if ((char === '"' || char === "'") && text.indexOf(char, index + 1) !== -1) {
+        quote = char;
+        hasToken = true;
+      } else if (/\s/.test(char)) {
+        if (hasToken) {
+          tokens.push(current);
+          current = '';
+          hasToken = false;
+        }
+      } else {
+        current += char;
+        hasToken = true;
+      }
+    }
+
+    if (hasToken) {
+      tokens.push(current);
+    }
+
+    return tokens;
+  }
+
+  // Name of the substitute a link refers to, whether or not it passes arguments
+  getSubstituteName(linkContent, substitutes) {
+    return LinkSyntax.getSubstituteName(linkContent, substitutes);
+  }
+
+  // Recognise `name` or `name key=value ...` when name is a known substitute
+  parseSubstituteCall(linkContent, substitutes) {
+    const name = this.getSubstituteName(linkContent, substitutes);
+    if (!name) {
+      return null;
+    }
+
+    const args = {};
+    for (const token of this.tokenize(linkContent.slice(name.length))) {
+      const argMatch = token.match(/^([\w-]+)=(.*)$/s);
+      if (!argMatch) {
+        throw new Error(`Invalid argument "${token}" for substitute "${name}". Use key=value.`);
+      }
+      args[argMatch[1]] = argMatch[2];
+    }
+
+    return { name, args };
+  }
+
+  // Point every link that calls substitute `oldName` at `newName`, keeping arguments,
+  // filters and wrap modifiers. Escaped text is left alone.
+  renameSubstituteLinks(content, oldName, newName, substitutes) {
     const links = [];
-    let match;
+    const renamed = LinkSyntax.scan(content).map(segment => {
+      if (segment.type === 'text') {
+        return segment.text;
+      }
+      if (segment.type === 'literal' || this.getSubstituteName(this.getLinkTarget(segment.content), substitutes) !== oldName) {
+        return segment.raw;
+      }
+
+      const after = segment.raw.replace(segment.content, () => newName + segment.content.slice(oldName.length));
+      links.push({ before: segment.raw, after });
+      return after;
+    }).join('');
+
+    return { content: renamed, links };
+  }
 
-    while ((match = linkPattern.exec(content)) !== null) {
-      links.push({
-        full: match[0],
-        content: match[1].trim(),
-        index: match.index
-      });
+  // Fill {{$name}} and {{$name=default}} placeholders before the body is expanded
+  bindArguments(template, args, name, kind = 'substitute') {
+    const escaped = LinkSyntax.escapedRanges(template);
+    const missing = new Set();
+
+    const bound = template.replace(ARGUMENT_PATTERN, (placeholder, key, defaultValue, offset) => {
+      if (LinkSyntax.isEscaped(escaped, offset)) {
+        return placeholder;
+      }
+      if (Object.prototype.hasOwnProperty.call(args, key)) {
+        return args[key];
+      }
+      if (defaultValue !== undefined) {
+        return defaultValue.trim();
+      }
+      missing.add(key);
+      return placeholder;
+    });
+
+    if (missing.size > 0) {
+      const plural = missing.size > 1 ? 's' : '';
+      throw new Error(`Missing argument${plural} for ${kind} "${name}": ${[...missing].join(', ')}`);
+    }
+
+    return bound;
+  }
+
+  // Placeholder names in order of first use, skipping escaped text
+  getArgumentNames(template) {
+    const escaped = LinkSyntax.escapedRanges(template);
+    const names = new Set();
+    for (const match of template.matchAll(ARGUMENT_PATTERN)) {
+      if (!LinkSyntax.isEscaped(escaped, match.index)) {
+        names.add(match[1]);
+      }
     }
+    return [...names];
+  }
 
-    return links;
+  // Split what was typed after a prompt command, e.g. `reports/q3.md tone=terse --send`,
+  // into named (key=value) and positional values and --flags
+  parseCommandArguments(text) {
+    const parsed = { named: {}, positional: [], flags: [] };
+    for (const token of this.tokenize(text)) {
+      const flagMatch = token.match(/^--([\w-]+)$/);
+      const argMatch = token.match(/^([\w-]+)=(.*)$/s);
+      if (flagMatch) {
+        parsed.flags.push(flagMatch[1]);
+      } else if (argMatch) {
+        parsed.named[argMatch[1]] = argMatch[2];
+      } else {
+        parsed.positional.push(token);
+      }
+    }
+    return parsed;
+  }
+
+  // Bind command-line values into a prompt's placeholders. Positional values fill
+  // {{$1}}, {{$2}}, ... or, in a prompt without numbered placeholders, the named
+  // placeholders not given as key=value, in order of first use.
+  bindPromptArguments(template, named, positional, name) {
+    const placeholders = this.getArgumentNames(template);
+    // A prompt without placeholders ignores whatever is typed after its name, as it always has
+    if (placeholders.length === 0) {
+      return template;
+    }
+    const numbered = placeholders.filter(key => /^\d+$/.test(key));
+    const slots = numbered.length > 0
+      ? numbered.sort((a, b) => a - b)
+      : placeholders.filter(key => !Object.prototype.hasOwnProperty.call(named, key));
+
+    const unknown = Object.keys(named).filter(key => !placeholders.includes(key));
+    if (unknown.length > 0) {
+      const takes = placeholders.length > 0 ? `It takes: ${placeholders.join(', ')}` : 'It takes no arguments';
+      throw new Error(`Unknown argument${unknown.length > 1 ? 's' : ''} for prompt "${name}": ${unknown.join(', ')}. ${takes}`);
+    }
+    if (positional.length > slots.length) {
+      const expected = slots.length === 0 ? 'no positional arguments' : `at most ${slots.length}`;
+      throw new Error(`Too many arguments for prompt "${name}": it takes ${expected}, got ${positional.length}`);
+    }
+
+    const args = { ...named };
+    positional.forEach((value, index) => {
+      args[slots[index]] = value;
+    });
+    return this.bindArguments(template, args, name, 'prompt');
+  }
+
+  // Extract all links from content for validation/preview, skipping escaped text
+  extractLinks(content) {
+    return LinkSyntax.extractLinks(content);
+  }
+
+  // Fill-in variables ({{?topic}}, {{?audience: developers}}) of a prompt
+  extractVariables(content) {
+    return LinkSyntax.extractVariables(content);
+  }
+
+  fillVariables(content, values) {
+    return LinkSyntax.fillVariables(content, values);
+  }
+
+  isVariable(linkContent) {
+    return LinkSyntax.parseVariable(linkContent) !== null;
   }
 
   // Validate all links in content
@@ -192,6 +968,10 @@ class LinkProcessor {
     const results = [];
 
     for (const link of links) {
+      if (this.parseWrapDirective(link.content)) {
+        continue;
+      }
+
       try {
         await this.resolveLink(link.content, 0);
         results.push({
@@ -211,75 +991,152 @@ class LinkProcessor {
     return results;
   }
 
-  // Get dependency tree for a piece of content
-  async getDependencyTree(content, visited = new Set()) {
-    const links = this.extractLinks(content);
-    const tree = {
-      content: content.substring(0, 100) + (content.length > 100 ? '...' : ''),
-      links: []
+  // Dependency tree for a saved prompt or substitute (prompts win when a name is both)
+  async getItemDependencyTree(name) {
+    const prompts = this.dataManager.getPrompts();
+    const substitutes = this.dataManager.getSubstitutes();
+    let type;
+    if (Object.prototype.hasOwnProperty.call(prompts, name)) {
+      type = 'prompt';
+    } else if (Object.prototype.hasOwnProperty.call(substitutes, name)) {
+      type = 'substitute';
+    } else {
+      throw new Error(`No prompt or substitute named "${name}"`);
+    }
+
+    const content = type === 'prompt' ? prompts[name] : substitutes[name];
+    const ancestors = new Set(type === 'substitute' ? [`substitute:${name}`] : []);
+    return {
+      name,
+      type,
+      chars: (await this.processLinks(content)).length,
+      children: await this.getDependencyTree(content, ancestors)
     };
+  }
+
+  // One node per link in `content`: { link, type, name?, path?, resolvedPath?, chars, error?, children }.
+  // type is substitute, file, folder, dynamic, git, missing, circular or error; chars is the rendered size of the link.
+  // `ancestors` holds the substitutes and files on the current branch, so loops show up as circular.
+  async getDependencyTree(content, ancestors = new Set(), depth = 0, context = {}) {
+    if (depth >= this.maxDepth) {
+      return [];
+    }
+
+    const links = this.extractLinks(content);
+    for (const link of links) {
+      const directive = this.parseWrapDirective(link.content);
+      if (directive) {
+        context = { ...context, wrap: directive };
+      }
+    }
 
+    const nodes = [];
     for (const link of links) {
-      if (visited.has(link.content)) {
-        tree.links.push({
-          name: link.content,
-          type: 'circular',
-          children: null
-        });
+      // Directives, fill-in variables and argument placeholders are not dependencies
+      if (this.parseWrapDirective(link.content) || this.isVariable(link.content) || link.content.startsWith('$')) {
         continue;
       }
 
-      visited.add(link.content);
+      const node = { link: link.content, type: 'error', chars: null, children: [] };
+      nodes.push(node);
 
       try {
-        const substitutes = this.dataManager.getSubstitutes();
-        if (substitutes[link.content]) {
-          const subtree = await this.getDependencyTree(substitutes[link.content], new Set(visited));
-          tree.links.push({
-            name: link.content,
-            type: 'substitute',
-            children: subtree
-          });
-        } else {
-          // It's a file path
-          const rootPath = this.dataManager.getRootPath();
-          let filePath;
-          if (path.isAbsolute(link.content)) {
-            filePath = link.content;
-          } else {
-            filePath = path.resolve(rootPath, link.content);
-          }
+        await this.describeDependency(node, ancestors, depth, context);
+      } catch (error) {
+        node.type = 'error';
+        node.error = error.message;
+      }
+    }
 
-          if (await fs.pathExists(filePath)) {
-            const fileContent = await fs.readFile(filePath, 'utf8');
-            const subtree = await this.getDependencyTree(fileContent, new Set(visited));
-            tree.links.push({
-              name: link.content,
-              type: 'file',
-              path: filePath,
-              children: subtree
-            });
-          } else {
-            tree.links.push({
-              name: link.content,
-              type: 'missing',
-              children: null
-            });
-          }
+    return nodes;
+  }
+
+  async describeDependency(node, ancestors, depth, context) {
+    const render = async () => {
+      node.chars = (await this.renderLink(node.link, depth + 1, context)).text.length;
+    };
+
+    const target = this.getLinkTarget(node.link);
+    if (target.startsWith('@') || this.gitLinks.isGitLink(target)) {
+      node.type = target.startsWith('@') ? 'dynamic' : 'git';
+      node.name = target;
+      await render();
+      return;
+    }
+
+    const substitutes = this.dataManager.getSubstitutes();
+    const call = this.parseSubstituteCall(target, substitutes);
+    if (call) {
+      const key = `substitute:${call.name}`;
+      node.name = call.name;
+      if (ancestors.has(key)) {
+        node.type = 'circular';
+        return;
+      }
+
+      node.type = 'substitute';
+      const body = this.bindArguments(substitutes[call.name], call.args, call.name);
+      node.children = await this.getDependencyTree(body, new Set([...ancestors, key]), depth + 1, context);
+      await render();
+      return;
+    }
+
+    if (await this.isGlobPattern(target)) {
+      node.type = 'folder';
+      node.path = target;
+      const { normalizedRoot, rootName, files } = await this.matchGlob(target);
+      for (const file of files) {
+        const resolvedPath = path.join(normalizedRoot, file);
+        const displayPath = this.toLinkPath(rootName, file);
+        const child = { link: displayPath, type: 'file', path: displayPath, resolvedPath, chars: null, children: [] };
+        node.children.push(child);
+        if (ancestors.has(`file:${resolvedPath}`)) {
+          child.type = 'circular';
+          continue;
+        }
+
+        try {
+          await this.describeFile(child, null, ancestors, depth + 1, context);
+          child.chars = (await this.renderLink(displayPath, depth + 2, context)).text.length;
+        } catch (error) {
+          child.type = 'error';
+          child.error = error.message;
         }
-      } catch (error) {
-        tree.links.push({
-          name: link.content,
-          type: 'error',
-          error: error.message,
-          children: null
-        });
       }
+      await render();
+      return;
+    }
 
-      visited.delete(link.content);
+    const { linkPath, selector, filePath } = await this.resolveFilePath(target);
+    node.path = linkPath;
+    node.resolvedPath = filePath;
+    if (!await fs.pathExists(filePath)) {
+      node.type = 'missing';
+      return;
+    }
+    if (ancestors.has(`file:${filePath}`)) {
+      node.type = 'circular';
+      return;
     }
 
-    return tree;
+    node.type = 'file';
+    await this.describeFile(node, selector, ancestors, depth, context);
+    await render();
+  }
+
+  // Children of a file node: the links inside it, for prose files only
+  async describeFile(node, selector, ancestors, depth, context) {
+    const ext = path.extname(node.resolvedPath).toLowerCase();
+    if (!this.isLinkableExtension(ext)) {
+      return;
+    }
+
+    let fileContent = await this.readIncludableFile(node.resolvedPath, node.path);
+    if (selector) {
+      fileContent = this.applySelector(fileContent, selector, node.path).text;
+    }
+    const branch = new Set([...ancestors, `file:${node.resolvedPath}`]);
+    node.children = await this.getDependencyTree(fileContent, branch, depth + 1, context);
   }
 
   // Check for circular dependencies in substitutes
@@ -305,8 +1162,9 @@ class LinkProcessor {
       if (content) {
         const links = this.extractLinks(content);
         for (const link of links) {
-          if (substitutes[link.content]) {
-            dfs(link.content, [...path, key]);
+          const name = this.getSubstituteName(this.getLinkTarget(link.content), substitutes);
+          if (name) {
+            dfs(name, [...path, key]);
           }
         }
       }
@@ -0,0 +1,188 @@
+// Shared parsing of {{link}} syntax, including the two escape forms that keep
+// double braces literal:
+//   \{{not-a-link}}               -> {{not-a-link}}
+//   {{raw}} ... {{/raw}}          -> everything in between, untouched
+// An unterminated {{raw}} block runs to the end of the content.
+//
+// Fill-in variables, {{?topic}} or {{?audience: developers}}, are asked for when a
+// prompt is rendered and replaced before any link is resolved.
+//
+// A link's target comes before any "| filter" and trailing "@wrap" modifier; splitting
+// them off here lets DataManager follow links the same way LinkProcessor does.
+
+const WRAP_MODES = ['fence', 'xml', 'plain'];
+const VARIABLE_PATTERN = /^\?\s*([\w-]+)\s*(?::\s*([\s\S]*))?$/;
+const TOKEN_PATTERN = /\\\{\{([^}]+)\}\}|\{\{\s*raw\s*\}\}([\s\S]*?)(?:\{\{\s*\/raw\s*\}\}|$)|\{\{([^}]+)\}\}/g;
+
+// Split content into text, literal (escaped) and link segments, in order
+function scan(content) {
+  const segments = [];
+  let lastIndex = 0;
+
+  for (const match of content.matchAll(TOKEN_PATTERN)) {
+    if (match.index > lastIndex) {
+      segments.push({ type: 'text', text: content.slice(lastIndex, match.index), index: lastIndex });
+    }
+
+    if (match[1] !== undefined) {
+      segments.push({ type: 'literal', text: match[0].slice(1), raw: match[0], index: match.index });
+    } else if (match[2] !== undefined) {
+      segments.push({ type: 'literal', text: match[2], raw: match[0], index: match.index });
+    } else {
+      segments.push({ type: 'link', content: match[3].trim(), raw: match[0], index: match.index });
+    }
+
+    lastIndex = match.index + match[0].length;
+  }
+
+  if (lastIndex < content.length) {
+    segments.push({ type: 'text', text: content.slice(lastIndex), index: lastIndex });
+  }
+
+  return segments;
+}
+
+// Links outside escaped text, in the shape LinkProcessor.extractLinks has always returned
+function extractLinks(content) {
+  return scan(content)
+    .filter(segment => segment.type === 'link')
+    .map(segment => ({ full: segment.raw, content: segment.content, index: segment.index }));
+}
+
+// [start, end) offsets of escaped regions, for code that matches {{...}} with its own pattern
+function escapedRanges(content) {
+  return scan(content)
+    .filter(segment => segment.type === 'literal')
+    .map(segment => [segment.index, segment.index + segment.raw.length]);
+}
+
+function isEscaped(ranges, offset) {
+  return ranges.some(([start, end]) => offset >= start && offset < end);
+}
+
+// "?audience: developers" -> { name: 'audience', defaultValue: 'developers' }; null for other links
+function parseVariable(linkContent) {
+  const match = linkContent.match(VARIABLE_PATTERN);
+  if (!match) {
+    return null;
+  }
+  return { name: match[1], defaultValue: match[2] !== undefined ? match[2].trim() : null };
+}
+
+// Each variable once, in order of first use; the first default given wins
+function extractVariables(content) {
+  const variables = new Map();
+  for (const link of extractLinks(content)) {
+    const variable = parseVariable(link.content);
+    if (variable && !variables.has(variable.name)) {
+      variables.set(variable.name, variable);
+    }
+  }
+  return [...variables.values()];
+}
+
+// Replace variables with the given values, falling back to their defaults.
+// Variables with neither are left in place and fail when links are resolved.
+function fillVariables(content, values = {}) {
+  return scan(content).map(segment => {
+    if (segment.type === 'text') {
+      return segment.text;
+    }
+
+    const variable = segment.type === 'link' ? parseVariable(segment.content) : null;
+    if (!variable) {
+      return segment.raw;
+    }
+
+    const value = values[variable.name];
+    if (typeof value === 'string' && value !== '') {
+      return value;
+    }
+    return variable.defaultValue !== null ? variable.defaultValue : segment.raw;
+  }).join('');
+}
+
+// Split "notes.md | head:50 | indent:2" on pipes that are not inside quotes or a /regex/ slice
+function splitPipes(linkContent) {
+  const parts = [];
+  let current = '';
+  let quote = null;
+  let inRegex = false;
+
+  for (let i = 0; i < linkContent.length; i++) {
+    const char = linkContent[i];
+    const prev = linkContent[i - 1];
+
+    if (inRegex) {
+      if (char === '\\') {
+        current += char + (linkContent[++i] || '');
+        continue;
+      }
+      if (char === '/') inRegex = false;
+    } else if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '/' && (prev === ':' || prev === ',')) {
+      inRegex = true;
+    } else if (char === '|') {
+      parts.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  parts.push(current.trim());
+
+  if (parts.slice(1).some(part => part === '')) {
+    throw new Error(`Empty filter in: ${linkContent}`);
+  }
+  return parts;
+}
+
+// Pull a trailing " @fence", " @fence:python", " @xml" or " @plain" modifier off a link
+function splitWrapModifier(linkContent) {
+  const match = linkContent.match(/^(.*\S)\s+@(\w+)(?::([\w+#.-]+))?$/s);
+  if (!match || !WRAP_MODES.includes(match[2])) {
+    return { link: linkContent, wrap: null };
+  }
+  return { link: match[1], wrap: { mode: match[2], language: match[3] || null } };
+}
+
+// The part of a link before any filters or wrap modifier, or the whole link if it cannot be split
+function getLinkTarget(linkContent) {
+  try {
+    return splitPipes(splitWrapModifier(linkContent).link)[0];
+  } catch (error) {
+    return linkContent;
+  }
+}
+
+// Name of the substitute a link refers to, whether or not it passes arguments
+function getSubstituteName(linkContent, substitutes) {
+  if (Object.prototype.hasOwnProperty.call(substitutes, linkContent)) {
+    return linkContent;
+  }
+
+  const firstToken = linkContent.split(/\s+/)[0];
+  if (firstToken !== linkContent && Object.prototype.hasOwnProperty.call(substitutes, firstToken)) {
+    return firstToken;
+  }
+
+  return null;
+}
+
+module.exports = {
+  WRAP_MODES,
+  scan,
+  extractLinks,
+  escapedRanges,
+  isEscaped,
+  parseVariable,
+  extractVariables,
+  fillVariables,
+  splitPipes,
+  splitWrapModifier,
+  getLinkTarget,
+  getSubstituteName
+};
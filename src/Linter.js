@@ -0,0 +1,120 @@
+// Workspace-wide link check behind /check and GET /api/check. Every prompt, substitute
+// and the system instructions is checked for broken links, missing substitutes, cycles,
+// unused substitutes and expansions over maxExpansionChars. Issues are grouped by item.
+class Linter {
+  constructor(dataManager, linkProcessor, referenceIndex, logger) {
+    this.dataManager = dataManager;
+    this.linkProcessor = linkProcessor;
+    this.referenceIndex = referenceIndex;
+    this.logger = logger;
+  }
+
+  async run() {
+    const prompts = this.dataManager.getPrompts();
+    const substitutes = this.dataManager.getSubstitutes();
+    const systemInstructions = this.dataManager.getSystemInstructions();
+
+    const items = [
+      ...Object.entries(prompts).map(([name, content]) => ({ type: 'prompt', name, content })),
+      ...Object.entries(substitutes).map(([name, content]) => ({ type: 'substitute', name, content })),
+      { type: 'system', name: 'System instructions', content: systemInstructions || '' }
+    ];
+
+    const reports = new Map(items.map(item => [`${item.type}:${item.name}`, { type: item.type, name: item.name, chars: 0, issues: [] }]));
+    const addIssue = (type, name, issue) => reports.get(`${type}:${name}`).issues.push(issue);
+
+    const { maxExpansionChars } = this.dataManager.getSettings();
+    for (const item of items) {
+      for (const issue of await this.checkLinks(item)) {
+        addIssue(item.type, item.name, issue);
+      }
+
+      const chars = await this.measure(item);
+      reports.get(`${item.type}:${item.name}`).chars = chars;
+      if (chars !== null && chars > maxExpansionChars) {
+        addIssue(item.type, item.name, {
+          severity: 'warning',
+          kind: 'oversize',
+          message: `Expands to ${chars.toLocaleString()} characters, over the ${maxExpansionChars.toLocaleString()} limit (maxExpansionChars in /settings)`
+        });
+      }
+    }
+
+    // Cycles are reported on every substitute that takes part in them
+    for (const cycle of this.linkProcessor.checkCircularDependencies()) {
+      for (const name of new Set(cycle)) {
+        addIssue('substitute', name, { severity: 'error', kind: 'cycle', message: `Circular reference: ${cycle.join(' → ')}` });
+      }
+    }
+
+    const usedBySystem = new Set(
+      this.linkProcessor.extractLinks(systemInstructions || '')
+        .map(link => this.linkProcessor.getSubstituteName(this.linkProcessor.getLinkTarget(link.content), substitutes))
+    );
+    for (const name of Object.keys(substitutes)) {
+      const usages = await this.referenceIndex.getUsages(name);
+      if (usages.direct.length + usages.indirect.length === 0 && !usedBySystem.has(name)) {
+        addIssue('substitute', name, { severity: 'warning', kind: 'unused', message: 'Not used by any prompt or substitute' });
+      }
+    }
+
+    // Cycles come from checkCircularDependencies above, which understands filters and modifiers
+    const workspace = this.dataManager.validateData()
+      .filter(issue => issue.type !== 'cycle')
+      .map(issue => ({ severity: 'error', kind: issue.type, message: issue.message }));
+
+    const flagged = [...reports.values()].filter(report => report.issues.length > 0);
+    const allIssues = [...workspace, ...flagged.flatMap(report => report.issues)];
+    const errors = allIssues.filter(issue => issue.severity === 'error').length;
+    const warnings = allIssues.length - errors;
+
+    this.logger.info(`Workspace check: ${items.length} items, ${errors} errors, ${warnings} warnings`);
+    return {
+      ok: errors === 0,
+      checkedAt: new Date().toISOString(),
+      summary: { items: items.length, errors, warnings },
+      workspace,
+      items: flagged
+    };
+  }
+
+  // Rendered size; prompts and substitutes are measured with their argument defaults, or
+  // not at all when an argument is required, since the size then depends on the caller
+  async measure(item) {
+    let content = item.content;
+    if (item.type !== 'system') {
+      try {
+        content = this.linkProcessor.bindArguments(content, {}, item.name, item.type);
+      } catch (error) {
+        return null;
+      }
+    }
+    return (await this.linkProcessor.processLinks(content)).length;
+  }
+
+  async checkLinks(item) {
+    const issues = [];
+    for (const result of await this.linkProcessor.validateLinks(item.content)) {
+      // Argument placeholders are bound when a substitute or prompt is called, and fill-in
+      // variables when a prompt is rendered, so neither is checked on its own
+      if (result.valid || (item.type !== 'system' && /(^|\{\{)\s*\$/.test(result.link))) {
+        continue;
+      }
+      if (item.type === 'prompt' && this.linkProcessor.isVariable(result.link)) {
+        continue;
+      }
+
+      const target = this.linkProcessor.getLinkTarget(result.link);
+      const looksLikeName = !/[./\\]/.test(target) && result.error.startsWith('File not found');
+      issues.push({
+        severity: 'error',
+        kind: looksLikeName ? 'missing-substitute' : 'broken-link',
+        link: result.link,
+        message: looksLikeName ? `No substitute or file named "${target}"` : result.error
+      });
+    }
+    return issues;
+  }
+}
+
+module.exports = Linter;
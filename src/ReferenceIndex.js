@@ -0,0 +1,197 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// Reverse index of link references: for every substitute and file, which prompts,
+// substitutes and files link to it. Keys look like "prompt:name", "substitute:name"
+// and "file:docs/design.md" (root-relative, forward slashes, with a "name:" prefix for
+// files outside the default root, as in "file:notes:todo.md").
+class ReferenceIndex {
+  constructor(dataManager, linkProcessor, logger) {
+    this.dataManager = dataManager;
+    this.linkProcessor = linkProcessor;
+    this.logger = logger;
+    this.users = new Map();
+    this.building = null;
+    this.rebuildQueued = false;
+    this.builtAt = null;
+  }
+
+  // Rebuilds triggered while one is running are folded into a single follow-up build
+  rebuild() {
+    if (this.building) {
+      this.rebuildQueued = true;
+      return this.building;
+    }
+
+    this.building = (async () => {
+      do {
+        this.rebuildQueued = false;
+        await this.build();
+      } while (this.rebuildQueued);
+    })()
+      .catch(error => this.logger.error('Failed to rebuild reference index:', error))
+      .finally(() => {
+        this.building = null;
+      });
+
+    return this.building;
+  }
+
+  async ready() {
+    if (this.building) {
+      await this.building;
+    } else if (!this.builtAt) {
+      await this.rebuild();
+    }
+  }
+
+  async build() {
+    const prompts = this.dataManager.getPrompts();
+    const substitutes = this.dataManager.getSubstitutes();
+    const references = new Map();
+
+    for (const [name, content] of Object.entries(prompts)) {
+      references.set(`prompt:${name}`, await this.collectReferences(content, substitutes));
+    }
+    for (const [name, content] of Object.entries(substitutes)) {
+      references.set(`substitute:${name}`, await this.collectReferences(content, substitutes));
+    }
+
+    // Follow links inside every file reached so far, and the files those reach
+    const pending = [...references.values()].flatMap(refs => [...refs]).filter(key => key.startsWith('file:'));
+    while (pending.length > 0) {
+      const key = pending.shift();
+      if (references.has(key)) continue;
+
+      const refs = await this.collectFileReferences(key.slice('file:'.length), substitutes);
+      references.set(key, refs);
+      pending.push(...[...refs].filter(ref => ref.startsWith('file:')));
+    }
+
+    const users = new Map();
+    for (const [from, refs] of references) {
+      for (const to of refs) {
+        if (!users.has(to)) {
+          users.set(to, new Set());
+        }
+        users.get(to).add(from);
+      }
+    }
+
+    this.users = users;
+    this.builtAt = new Date().toISOString();
+    this.logger.debug(`Reference index rebuilt: ${references.size} items, ${users.size} referenced targets`);
+  }
+
+  async collectReferences(content, substitutes) {
+    const refs = new Set();
+    for (const link of this.linkProcessor.extractLinks(content)) {
+      try {
+        await this.addReference(link.content, refs, substitutes);
+      } catch (error) {
+        // Broken links show up when rendering; they just don't point anywhere here
+        this.logger.debug(`Reference index skipped {{${link.content}}}: ${error.message}`);
+      }
+    }
+    return refs;
+  }
+
+  async addReference(linkContent, refs, substitutes) {
+    const lp = this.linkProcessor;
+    const target = lp.getLinkTarget(linkContent);
+    if (target.startsWith('$') || target.startsWith('@') || lp.isVariable(target) || lp.gitLinks.isGitLink(target)) {
+      return;
+    }
+
+    const call = lp.parseSubstituteCall(target, substitutes);
+    if (call) {
+      refs.add(`substitute:${call.name}`);
+
+      // Files passed as arguments, e.g. {{review file=src/app.py}}, are used by the caller
+      if (Object.keys(call.args).length > 0) {
+        const template = substitutes[call.name];
+        const ownLinks = new Set(lp.extractLinks(template).map(link => link.content));
+        const bound = lp.bindArguments(template, call.args, call.name);
+        for (const link of lp.extractLinks(bound)) {
+          if (!ownLinks.has(link.content)) {
+            await this.addReference(link.content, refs, substitutes);
+          }
+        }
+      }
+      return;
+    }
+
+    if (await lp.isGlobPattern(target)) {
+      const { rootName, files } = await lp.matchGlob(target);
+      files.forEach(file => refs.add(`file:${lp.toLinkPath(rootName, file)}`));
+      return;
+    }
+
+    const { canonicalPath } = await lp.resolveFilePath(target);
+    refs.add(`file:${canonicalPath}`);
+  }
+
+  async collectFileReferences(linkPath, substitutes) {
+    try {
+      const { filePath } = await this.linkProcessor.resolveFilePath(linkPath);
+      if (!this.linkProcessor.isLinkableExtension(path.extname(filePath).toLowerCase()) || !await fs.pathExists(filePath)) {
+        return new Set();
+      }
+
+      const content = await this.linkProcessor.readIncludableFile(filePath, linkPath);
+      return await this.collectReferences(content, substitutes);
+    } catch (error) {
+      this.logger.debug(`Reference index could not read ${linkPath}: ${error.message}`);
+      return new Set();
+    }
+  }
+
+  // Prompts and substitutes that use a substitute or file, directly or through other items.
+  // Indirect users carry `via`, the item or file on the path that links to the target.
+  async getUsages(name) {
+    await this.ready();
+
+    const substitutes = this.dataManager.getSubstitutes();
+    let target;
+    if (Object.prototype.hasOwnProperty.call(substitutes, name)) {
+      target = { type: 'substitute', name, key: `substitute:${name}` };
+    } else {
+      const { canonicalPath } = await this.linkProcessor.resolveFilePath(name);
+      target = { type: 'file', name: canonicalPath, key: `file:${canonicalPath}` };
+    }
+
+    const direct = [];
+    const indirect = [];
+    const seen = new Set([target.key]);
+    const queue = [...(this.users.get(target.key) || [])].map(key => ({ key, via: null }));
+    queue.forEach(entry => seen.add(entry.key));
+
+    while (queue.length > 0) {
+      const { key, via } = queue.shift();
+      const [type, ...rest] = key.split(':');
+      const itemName = rest.join(':');
+      if (type !== 'file' && via) {
+        indirect.push({ type, name: itemName, via });
+      } else if (type !== 'file') {
+        direct.push({ type, name: itemName });
+      }
+
+      for (const user of this.users.get(key) || []) {
+        if (!seen.has(user)) {
+          seen.add(user);
+          queue.push({ key: user, via: via || itemName });
+        }
+      }
+    }
+
+    const byTypeAndName = (a, b) => a.type.localeCompare(b.type) || a.name.localeCompare(b.name);
+    return {
+      target: { type: target.type, name: target.name },
+      direct: direct.sort(byTypeAndName),
+      indirect: indirect.sort(byTypeAndName),
+      builtAt: this.builtAt
+    };
+  }
+}
+
+module.exports = ReferenceIndex;
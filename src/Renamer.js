@@ -0,0 +1,138 @@
+// Renames prompts and substitutes. Renaming a substitute also rewrites every
+// {{old-name ...}} link in prompts, substitutes and the system instructions, so nothing
+// breaks; a renamed prompt keeps its remembered fill-in values.
+// plan() computes the change without saving it, for a preview; apply() saves it.
+class Renamer {
+  constructor(dataManager, linkProcessor, logger) {
+    this.dataManager = dataManager;
+    this.linkProcessor = linkProcessor;
+    this.logger = logger;
+  }
+
+  plan(kind, oldName, newName) {
+    if (kind !== 'prompt' && kind !== 'substitute') {
+      throw new Error(`Cannot rename a ${kind}. Use prompt or substitute.`);
+    }
+
+    newName = (newName || '').trim();
+    if (!newName) {
+      throw new Error('New name is required');
+    }
+    if (newName === oldName) {
+      throw new Error(`The ${kind} is already called "${oldName}"`);
+    }
+
+    const prompts = this.dataManager.getPrompts();
+    const substitutes = this.dataManager.getSubstitutes();
+    const collection = kind === 'prompt' ? prompts : substitutes;
+    if (!Object.prototype.hasOwnProperty.call(collection, oldName)) {
+      throw new Error(`No ${kind} named "${oldName}"`);
+    }
+    if (Object.prototype.hasOwnProperty.call(collection, newName)) {
+      throw new Error(`A ${kind} named "${newName}" already exists`);
+    }
+
+    if (kind === 'prompt') {
+      this.dataManager.validatePromptNames({ [newName]: '' });
+      return {
+        kind,
+        oldName,
+        newName,
+        changes: [],
+        values: Object.keys(this.dataManager.getPromptValues(oldName)),
+        warnings: [],
+        result: { prompts: this.renameKey(prompts, oldName, newName), substitutes, systemInstructions: null }
+      };
+    }
+
+    // Links name a substitute by their first word, so these characters would make it unreachable
+    if (/[\s{}|]/.test(newName) || newName.startsWith('$') || newName.startsWith('@')) {
+      throw new Error('Substitute names cannot contain spaces, braces or "|", or start with $ or @');
+    }
+
+    const renamedPrompts = {};
+    const renamedSubstitutes = {};
+    const changes = [];
+    const rewrite = (type, items, target) => {
+      for (const [name, content] of Object.entries(items)) {
+        const { content: updated, links } = this.linkProcessor.renameSubstituteLinks(content, oldName, newName, substitutes);
+        target[name] = updated;
+        if (links.length > 0) {
+          changes.push({ type, name, links });
+        }
+      }
+    };
+    rewrite('prompt', prompts, renamedPrompts);
+    rewrite('substitute', this.renameKey(substitutes, oldName, newName), renamedSubstitutes);
+    const system = { 'System instructions': this.dataManager.getSystemInstructions() || '' };
+    const renamedSystem = {};
+    rewrite('system', system, renamedSystem);
+
+    return {
+      kind,
+      oldName,
+      newName,
+      changes,
+      values: [],
+      warnings: this.findShadowedLinks(newName, prompts, substitutes),
+      result: {
+        prompts: renamedPrompts,
+        substitutes: renamedSubstitutes,
+        // null when the system instructions do not link to the substitute
+        systemInstructions: renamedSystem['System instructions'] !== system['System instructions'] ? renamedSystem['System instructions'] : null
+      }
+    };
+  }
+
+  apply(kind, oldName, newName) {
+    const plan = this.plan(kind, oldName, newName);
+    const updatesSystem = plan.result.systemInstructions !== null;
+    if (updatesSystem) {
+      this.dataManager.checkWritable('system.json');
+    }
+
+    const previousPrompts = this.dataManager.getPrompts();
+    const previousSubstitutes = this.dataManager.getSubstitutes();
+    this.dataManager.savePromptsAndSubstitutes(plan.result.prompts, plan.result.substitutes, { kind, oldName, newName: plan.newName });
+    if (updatesSystem) {
+      try {
+        this.dataManager.saveSystemInstructions(plan.result.systemInstructions);
+      } catch (error) {
+        // Undo the rename, so the system instructions never link to a name that is gone
+        this.dataManager.savePromptsAndSubstitutes(previousPrompts, previousSubstitutes, { kind, oldName: plan.newName, newName: oldName });
+        throw error;
+      }
+    }
+
+    const linkCount = plan.changes.reduce((total, change) => total + change.links.length, 0);
+    this.logger.info(`Renamed ${kind} "${oldName}" to "${plan.newName}", rewriting ${linkCount} links in ${plan.changes.length} items`);
+    return plan;
+  }
+
+  // Substitutes win over files, so existing {{new-name}} file links would change meaning
+  findShadowedLinks(newName, prompts, substitutes) {
+    const items = [
+      ...Object.entries(prompts).map(([name, content]) => ({ type: 'prompt', name, content })),
+      ...Object.entries(substitutes).map(([name, content]) => ({ type: 'substitute', name, content }))
+    ];
+
+    const shadowed = items.filter(item =>
+      this.linkProcessor.extractLinks(item.content).some(link => {
+        const target = this.linkProcessor.getLinkTarget(link.content);
+        return target === newName || target.split(/\s+/)[0] === newName;
+      })
+    );
+
+    if (shadowed.length === 0) {
+      return [];
+    }
+    return [`Links to {{${newName}}} in ${shadowed.map(item => `${item.type} "${item.name}"`).join(', ')} will resolve to this substitute instead of a file.`];
+  }
+
+  // Rename a key without moving it, so lists keep their order
+  renameKey(items, oldName, newName) {
+    return Object.fromEntries(Object.entries(items).map(([name, content]) => [name === oldName ? newName : name, content]));
+  }
+}
+
+module.exports = Renamer;
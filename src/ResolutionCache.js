@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+const path = require('path');
+
+// Caches for LinkProcessor:
+//   files      - file contents keyed by absolute path, valid while mtime and size match
+//   expansions - expanded substitute bodies keyed by a hash of the bound body and wrap mode
+// Expansions can depend on any file or substitute, so any change clears all of them.
+class ResolutionCache {
+  constructor(logger, maxEntries = 500) {
+    this.logger = logger;
+    this.maxEntries = maxEntries;
+    this.files = new Map();
+    this.expansions = new Map();
+    this.stats = {
+      files: { hits: 0, misses: 0 },
+      expansions: { hits: 0, misses: 0 }
+    };
+  }
+
+  getFile(filePath, stat) {
+    const entry = this.files.get(path.resolve(filePath));
+    if (entry && entry.mtimeMs === stat.mtimeMs && entry.size === stat.size) {
+      this.stats.files.hits++;
+      return entry.content;
+    }
+
+    this.stats.files.misses++;
+    return undefined;
+  }
+
+  setFile(filePath, stat, content) {
+    this.store(this.files, path.resolve(filePath), { mtimeMs: stat.mtimeMs, size: stat.size, content });
+  }
+
+  expansionKey(kind, content, wrap) {
+    return crypto
+      .createHash('sha1')
+      .update(`${kind}\0${wrap ? `${wrap.mode}:${wrap.language || ''}` : ''}\0${content}`)
+      .digest('hex');
+  }
+
+  getExpansion(key) {
+    const entry = this.expansions.get(key);
+    if (entry) {
+      this.stats.expansions.hits++;
+      return entry;
+    }
+
+    this.stats.expansions.misses++;
+    return undefined;
+  }
+
+  setExpansion(key, rendered) {
+    this.store(this.expansions, key, rendered);
+  }
+
+  // Map iteration order is insertion order, so the first key is the oldest
+  store(map, key, value) {
+    map.delete(key);
+    map.set(key, value);
+    if (map.size > this.maxEntries) {
+      map.delete(map.keys().next().value);
+    }
+  }
+
+  invalidateFile(filePath) {
+    this.files.delete(path.resolve(filePath));
+    this.expansions.clear();
+    this.logger.debug(`Resolution cache invalidated for file: ${filePath}`);
+  }
+
+  invalidateExpansions() {
+    this.expansions.clear();
+    this.logger.debug('Resolution cache expansions cleared');
+  }
+
+  clear() {
+    this.files.clear();
+    this.expansions.clear();
+    this.logger.debug('Resolution cache cleared');
+  }
+
+  getStats() {
+    const summarize = (map, stats) => {
+      const lookups = stats.hits + stats.misses;
+      return {
+        entries: map.size,
+        hits: stats.hits,
+        misses: stats.misses,
+        hitRate: lookups > 0 ? Number((stats.hits / lookups).toFixed(3)) : null
+      };
+    };
+
+    return {
+      files: summarize(this.files, this.stats.files),
+      expansions: summarize(this.expansions, this.stats.expansions)
+    };
+  }
+}
+
+module.exports = ResolutionCache;
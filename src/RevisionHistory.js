@@ -0,0 +1,153 @@
+// Earlier versions of prompts and substitutes, for the editors' history panel.
+// DataManager records a revision on every save; this lists them, compares one with the
+// current content line by line, and restores one. A restore is itself a save, so the
+// content it replaces becomes a revision too and can be restored in turn.
+
+// Above this many line pairs the diff skips alignment and shows the versions side by side
+const MAX_DIFF_CELLS = 4000000;
+
+class RevisionHistory {
+  constructor(dataManager, logger) {
+    this.dataManager = dataManager;
+    this.logger = logger;
+  }
+
+  // Newest first, without content: [{ timestamp, change, chars }]
+  list(kind, name) {
+    this.checkKind(kind);
+    return this.dataManager.getRevisions(kind, name)
+      .reverse()
+      .map(({ timestamp, change, content }) => ({ timestamp, change, chars: content.length }));
+  }
+
+  compare(kind, name, timestamp) {
+    const revision = this.find(kind, name, timestamp);
+    const current = this.getCurrent(kind, name);
+    return {
+      kind,
+      name,
+      timestamp,
+      change: revision.change,
+      deleted: current === null,
+      rows: this.sideBySide(revision.content, current || '')
+    };
+  }
+
+  // Returns the saved collection, for broadcasting to other clients
+  restore(kind, name, timestamp) {
+    const revision = this.find(kind, name, timestamp);
+
+    if (kind === 'prompt') {
+      this.dataManager.savePrompts({ ...this.dataManager.getPrompts(), [name]: revision.content });
+    } else {
+      this.dataManager.saveSubstitutes({ ...this.dataManager.getSubstitutes(), [name]: revision.content });
+    }
+
+    this.logger.info(`Restored ${kind} "${name}" to its version from ${timestamp}`);
+    return kind === 'prompt' ? this.dataManager.getPrompts() : this.dataManager.getSubstitutes();
+  }
+
+  find(kind, name, timestamp) {
+    this.checkKind(kind);
+    const revision = this.dataManager.getRevisions(kind, name).find(candidate => candidate.timestamp === timestamp);
+    if (!revision) {
+      throw new Error(`No revision of ${kind} "${name}" from ${timestamp}`);
+    }
+    return revision;
+  }
+
+  getCurrent(kind, name) {
+    const collection = kind === 'prompt' ? this.dataManager.getPrompts() : this.dataManager.getSubstitutes();
+    return Object.prototype.hasOwnProperty.call(collection, name) ? collection[name] : null;
+  }
+
+  checkKind(kind) {
+    if (kind !== 'prompt' && kind !== 'substitute') {
+      throw new Error(`There is no history for a ${kind}. Use prompt or substitute.`);
+    }
+  }
+
+  // Line diff as rows for a two-column view: { type, left, right, leftLine, rightLine }
+  // where type is same, changed, removed or added. Runs of removed lines followed by added
+  // lines are paired up as changed rows, so an edited line sits next to its old version.
+  sideBySide(before, after) {
+    const left = before.split('\n');
+    const right = after.split('\n');
+    const operations = left.length * right.length > MAX_DIFF_CELLS
+      ? [...left.map(line => ({ type: 'removed', line })), ...right.map(line => ({ type: 'added', line }))]
+      : this.diffLines(left, right);
+
+    const rows = [];
+    let leftLine = 0;
+    let rightLine = 0;
+    let removed = [];
+    let added = [];
+
+    const flush = () => {
+      for (let i = 0; i < Math.max(removed.length, added.length); i++) {
+        const hasLeft = i < removed.length;
+        const hasRight = i < added.length;
+        rows.push({
+          type: hasLeft && hasRight ? 'changed' : hasLeft ? 'removed' : 'added',
+          left: hasLeft ? removed[i] : null,
+          right: hasRight ? added[i] : null,
+          leftLine: hasLeft ? ++leftLine : null,
+          rightLine: hasRight ? ++rightLine : null
+        });
+      }
+      removed = [];
+      added = [];
+    };
+
+    for (const operation of operations) {
+      if (operation.type === 'removed') {
+        removed.push(operation.line);
+      } else if (operation.type === 'added') {
+        added.push(operation.line);
+      } else {
+        flush();
+        rows.push({ type: 'same', left: operation.line, right: operation.line, leftLine: ++leftLine, rightLine: ++rightLine });
+      }
+    }
+    flush();
+
+    return rows;
+  }
+
+  // Longest common subsequence of lines, as same/removed/added operations in order
+  diffLines(left, right) {
+    const lengths = Array.from({ length: left.length + 1 }, () => new Uint32Array(right.length + 1));
+    for (let i = left.length - 1; i >= 0; i--) {
+      for (let j = right.length - 1; j >= 0; j--) {
+        lengths[i][j] = left[i] === right[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+
+    const operations = [];
+    let i = 0;
+    let j = 0;
+    while (i < left.length && j < right.length) {
+      if (left[i] === right[j]) {
+        operations.push({ type: 'same', line: left[i] });
+        i++;
+        j++;
+      } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+        operations.push({ type: 'removed', line: left[i++] });
+      } else {
+        operations.push({ type: 'added', line: right[j++] });
+      }
+    }
+    while (i < left.length) {
+      operations.push({ type: 'removed', line: left[i++] });
+    }
+    while (j < right.length) {
+      operations.push({ type: 'added', line: right[j++] });
+    }
+
+    return operations;
+  }
+}
+
+module.exports = RevisionHistory;
@@ -0,0 +1,113 @@
+// Registry of text transforms applied to resolved link content:
+//   {{notes.md | strip-frontmatter | head:50 | indent:2}}
+class TextFilters {
+  constructor(logger) {
+    this.logger = logger;
+    this.filters = new Map();
+    this.registerBuiltins();
+  }
+
+  register(name, description, fn) {
+    this.filters.set(name, { description, fn });
+  }
+
+  getAvailableFilters() {
+    return [...this.filters.entries()].map(([name, filter]) => ({
+      name,
+      description: filter.description
+    }));
+  }
+
+  // "head:50" -> { name: 'head', arg: '50' }; quotes around the argument are dropped
+  parse(spec) {
+    const colonIndex = spec.indexOf(':');
+    const name = (colonIndex === -1 ? spec : spec.slice(0, colonIndex)).trim();
+    let arg = colonIndex === -1 ? null : spec.slice(colonIndex + 1).trim();
+
+    if (arg && /^(["']).*\1$/s.test(arg)) {
+      arg = arg.slice(1, -1);
+    }
+
+    return { name, arg };
+  }
+
+  apply(content, specs) {
+    return specs.reduce((text, spec) => {
+      const { name, arg } = this.parse(spec);
+      const filter = this.filters.get(name);
+      if (!filter) {
+        throw new Error(`Unknown filter: ${name}. Available filters: ${[...this.filters.keys()].join(', ')}`);
+      }
+
+      this.logger.debug(`Applying filter: ${name}${arg !== null ? `:${arg}` : ''}`);
+      return filter.fn(text, arg, name);
+    }, content);
+  }
+
+  registerBuiltins() {
+    this.register('strip-frontmatter', 'Remove a leading --- YAML front matter block', (text) =>
+      text.replace(/^\uFEFF?---\r?\n[\s\S]*?\r?\n(---|\.\.\.)[ \t]*(\r?\n|$)/, '')
+    );
+
+    this.register('head', 'Keep the first N lines (default 10)', (text, arg, name) =>
+      text.split('\n').slice(0, this.count(arg, 10, name)).join('\n')
+    );
+
+    this.register('tail', 'Keep the last N lines (default 10)', (text, arg, name) => {
+      const lines = text.replace(/\n$/, '').split('\n');
+      return lines.slice(-this.count(arg, 10, name)).join('\n');
+    });
+
+    this.register('grep', 'Keep lines matching a regex', (text, arg, name) => {
+      const pattern = this.pattern(arg, name);
+      return text.split('\n').filter(line => pattern.test(line)).join('\n');
+    });
+
+    this.register('grep-v', 'Drop lines matching a regex', (text, arg, name) => {
+      const pattern = this.pattern(arg, name);
+      return text.split('\n').filter(line => !pattern.test(line)).join('\n');
+    });
+
+    this.register('indent', 'Indent non-empty lines by N spaces (default 2)', (text, arg, name) => {
+      const padding = ' '.repeat(this.count(arg, 2, name));
+      return text.split('\n').map(line => (line.trim() ? padding + line : line)).join('\n');
+    });
+
+    this.register('collapse-whitespace', 'Squeeze runs of spaces and blank lines', (text) =>
+      text
+        .replace(/[ \t]+/g, ' ')
+        .replace(/ +$/gm, '')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim()
+    );
+
+    this.register('trim', 'Remove leading and trailing whitespace', (text) => text.trim());
+  }
+
+  count(arg, defaultValue, name) {
+    if (arg === null || arg === '') {
+      return defaultValue;
+    }
+
+    const value = Number(arg);
+    if (!Number.isInteger(value) || value < 0) {
+      throw new Error(`Filter "${name}" needs a whole number, got "${arg}"`);
+    }
+    return value;
+  }
+
+  pattern(arg, name) {
+    if (!arg) {
+      throw new Error(`Filter "${name}" needs a pattern, e.g. ${name}:ERROR`);
+    }
+
+    try {
+      return new RegExp(arg);
+    } catch (error) {
+      // Not a valid regex - match it literally
+      return new RegExp(arg.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    }
+  }
+}
+
+module.exports = TextFilters;
@@ -0,0 +1,79 @@
+// Token estimates for rendered prompts, without calling the API. Claude's tokenizer isn't
+// published, so counts come from word, number and symbol runs, which lands within a few
+// percent for English prose and code. Good enough to budget against a context window.
+class TokenCounter {
+  constructor(logger) {
+    this.logger = logger;
+  }
+
+  estimate(text) {
+    let tokens = 0;
+    for (const [piece] of text.matchAll(/[A-Za-z]+|\d+|\s+|[^\sA-Za-z\d]/g)) {
+      if (/^[A-Za-z]/.test(piece)) {
+        // Common words are one token; long ones split into pieces of about four letters
+        tokens += Math.ceil(piece.length / 4);
+      } else if (/^\d/.test(piece)) {
+        tokens += Math.ceil(piece.length / 3);
+      } else if (/^\s/.test(piece)) {
+        // A single space joins the next word; newlines and indentation cost tokens
+        tokens += piece === ' ' ? 0 : Math.ceil(piece.length / 4);
+      } else {
+        tokens += 1;
+      }
+    }
+    return tokens;
+  }
+
+  // Tokens per source-map span, nested the way the links were: { source, chars, tokens, children }
+  breakdown(text, spans) {
+    const ordered = [...spans].sort((a, b) => a.start - b.start || a.depth - b.depth);
+    const roots = [];
+    const stack = [];
+
+    for (const span of ordered) {
+      while (stack.length > 0 && (stack[stack.length - 1].depth >= span.depth || stack[stack.length - 1].end <= span.start)) {
+        stack.pop();
+      }
+
+      const segment = text.slice(span.start, span.end);
+      const node = { source: span.source, chars: segment.length, tokens: this.estimate(segment), children: [] };
+      (stack.length > 0 ? stack[stack.length - 1].node.children : roots).push(node);
+      stack.push({ node, depth: span.depth, end: span.end });
+    }
+
+    return roots;
+  }
+
+  // Budget for sending `text` with the system instructions to a model with `contextWindow`
+  // tokens, of which `reservedOutput` are kept for the reply. level is ok, warning or over.
+  budget(text, spans, systemInstructions, { model, contextWindow, reservedOutput, warningPercent }) {
+    const promptTokens = this.estimate(text);
+    const systemTokens = this.estimate(systemInstructions || '');
+    const totalTokens = promptTokens + systemTokens;
+    const available = contextWindow - reservedOutput;
+    const percent = Math.round((totalTokens / available) * 1000) / 10;
+
+    let level = 'ok';
+    if (totalTokens > available) {
+      level = 'over';
+    } else if (percent >= warningPercent) {
+      level = 'warning';
+    }
+
+    this.logger.debug(`Token budget for ${model}: ${totalTokens} of ${available} (${percent}%)`);
+    return {
+      model,
+      contextWindow,
+      reservedOutput,
+      available,
+      promptTokens,
+      systemTokens,
+      totalTokens,
+      percent,
+      level,
+      breakdown: this.breakdown(text, spans)
+    };
+  }
+}
+
+module.exports = TokenCounter;
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const BundleManager = require('../src/BundleManager');
+const LinkProcessor = require('../src/LinkProcessor');
+
+const logger = { info() {}, debug() {}, warn() {}, error() {} };
+
+// Just the parts of DataManager a bundle import reads and writes, kept in memory
+function createDataManager({ prompts = {}, substitutes = {}, systemInstructions = '', aiModel = 'model-a' }) {
+  const data = { prompts, substitutes, systemInstructions, aiModel };
+  return {
+    data,
+    getPrompts: () => ({ ...data.prompts }),
+    getSubstitutes: () => ({ ...data.substitutes }),
+    getSystemInstructions: () => data.systemInstructions,
+    getAIModel: () => data.aiModel,
+    getSettings: () => ({}),
+    savePromptsAndSubstitutes(newPrompts, newSubstitutes) {
+      data.prompts = newPrompts;
+      data.substitutes = newSubstitutes;
+    },
+    saveSystemInstructions(content) {
+      data.systemInstructions = content;
+    },
+    saveAIModel(model) {
+      data.aiModel = model;
+    }
+  };
+}
+
+function createBundle(prompts, substitutes, extra = {}) {
+  return { format: 'papyrus-lite-bundle', formatVersion: 1, prompts, substitutes, ...extra };
+}
+
+function createBundleManager(dataManager) {
+  return new BundleManager(dataManager, new LinkProcessor(dataManager, logger), logger);
+}
+
+test('renaming a conflicting substitute leaves unchanged local items that link to it alone', () => {
+  const dataManager = createDataManager({
+    prompts: { plain: 'just {{house}}' },
+    substitutes: { house: 'A' }
+  });
+  const bundle = createBundle(
+    { plain: 'just {{house}}', tour: 'see {{house}}' },
+    { house: 'B' }
+  );
+
+  const summary = createBundleManager(dataManager).applyImport(bundle, { resolutions: { 'substitute:house': 'rename' } });
+
+  assert.deepStrictEqual(dataManager.data.prompts, { plain: 'just {{house}}', tour: 'see {{house-imported}}' });
+  assert.deepStrictEqual(dataManager.data.substitutes, { house: 'A', 'house-imported': 'B' });
+  assert.deepStrictEqual(summary.renamed, [{ kind: 'substitute', from: 'house', to: 'house-imported' }]);
+  assert.deepStrictEqual(summary.added, [
+    { kind: 'prompt', name: 'tour' },
+    { kind: 'substitute', name: 'house-imported' }
+  ]);
+  assert.deepStrictEqual(summary.overwritten, []);
+});
+
+test('a renamed substitute is relinked in imported system instructions', () => {
+  const dataManager = createDataManager({ substitutes: { house: 'A' }, systemInstructions: 'old' });
+  const bundle = createBundle({}, { house: 'B' }, { systemInstructions: 'use {{house}}' });
+
+  const summary = createBundleManager(dataManager).applyImport(bundle, {
+    resolutions: { 'substitute:house': 'rename' },
+    importSystem: true
+  });
+
+  assert.strictEqual(dataManager.data.systemInstructions, 'use {{house-imported}}');
+  assert.strictEqual(summary.systemInstructions, true);
+});
+
+test('skipped and overwritten conflicts are reported', () => {
+  const dataManager = createDataManager({ prompts: { one: '1', two: '2' } });
+  const bundle = createBundle({ one: 'uno', two: 'dos' }, {});
+
+  const summary = createBundleManager(dataManager).applyImport(bundle, { resolutions: { 'prompt:two': 'overwrite' } });
+
+  assert.deepStrictEqual(dataManager.data.prompts, { one: '1', two: 'dos' });
+  assert.deepStrictEqual(summary.skipped, [{ kind: 'prompt', name: 'one' }]);
+  assert.deepStrictEqual(summary.overwritten, [{ kind: 'prompt', name: 'two' }]);
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LinkProcessor = require('../src/LinkProcessor');
+
+const logger = { info() {}, debug() {}, warn() {}, error() {} };
+
+// A repository with the root folder in sub/ and a file outside it in secret/
+function createRepository() {
+  const repo = fs.mkdtempSync(path.join(os.tmpdir(), 'papyrus-git-'));
+  fs.mkdirSync(path.join(repo, 'sub', 'docs'), { recursive: true });
+  fs.mkdirSync(path.join(repo, 'secret'));
+  fs.writeFileSync(path.join(repo, 'sub', 'docs', 'a.md'), 'hello\n');
+  fs.writeFileSync(path.join(repo, 'secret', 'key.txt'), 'password\n');
+  const git = (...args) => execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], { cwd: repo, encoding: 'utf8' });
+  git('init', '-q');
+  git('add', '-A');
+  git('commit', '-q', '-m', 'init');
+  return { repo, root: path.join(repo, 'sub'), git };
+}
+
+function createGitLinks(root) {
+  const dataManager = {
+    getRoots: () => ({ main: root }),
+    getDefaultRoot: () => 'main',
+    getRootPath: () => root,
+    getSettings: () => ({ maxFileSize: 1024 * 1024 })
+  };
+  return new LinkProcessor(dataManager, logger).gitLinks;
+}
+
+test('git:show of the root folder lists it without its path in the repository', async (t) => {
+  const { repo, root } = createRepository();
+  t.after(() => fs.rmSync(repo, { recursive: true, force: true }));
+  const gitLinks = createGitLinks(root);
+
+  for (const link of ['git:show HEAD~0:', 'git:show HEAD:.']) {
+    const { text } = await gitLinks.resolve(link);
+    assert.ok(!text.includes('sub/'), `${link} revealed the root's path: ${text}`);
+    assert.match(text, /^docs\/$/m);
+  }
+
+  const { text } = await gitLinks.resolve('git:show HEAD:docs');
+  assert.match(text, /^tree HEAD:docs\n/);
+  await assert.rejects(gitLinks.resolve('git:show HEAD:missing.md'), error => !error.message.includes('sub/') && error.message.includes("'HEAD:missing.md'"));
+});
+
+test('git:show rejects object ids that are not commits', async (t) => {
+  const { repo, root, git } = createRepository();
+  t.after(() => fs.rmSync(repo, { recursive: true, force: true }));
+  const gitLinks = createGitLinks(root);
+  const blob = git('rev-parse', 'HEAD:secret/key.txt').trim();
+  const tree = git('rev-parse', 'HEAD^{tree}').trim();
+
+  await assert.rejects(gitLinks.resolve(`git:show ${blob}`), /not a commit/);
+  await assert.rejects(gitLinks.resolve(`git:show ${tree}`), /not a commit/);
+  await assert.rejects(gitLinks.resolve('git:show HEAD^{tree}'), /not a commit/);
+  await assert.rejects(gitLinks.resolve(`git:show ${tree}:secret/key.txt`), /not a commit/);
+
+  const commit = git('rev-parse', 'HEAD').trim();
+  const { text } = await gitLinks.resolve(`git:show ${commit}`);
+  assert.ok(text.includes('hello'));
+  assert.ok(!text.includes('password'));
+  const { text: file } = await gitLinks.resolve(`git:show ${commit}:docs/a.md`);
+  assert.strictEqual(file, 'hello\n');
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LinkProcessor = require('../src/LinkProcessor');
+
+const logger = { info() {}, debug() {}, warn() {}, error() {} };
+
+function createRoot(files) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'papyrus-links-'));
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+    fs.writeFileSync(path.join(root, file), content);
+  }
+  return root;
+}
+
+function createLinkProcessor(root, substitutes = {}) {
+  const dataManager = {
+    getSubstitutes: () => substitutes,
+    getRoots: () => ({ main: root }),
+    getDefaultRoot: () => 'main',
+    getRootPath: () => root,
+    getSettings: () => ({ maxGlobFiles: 100, maxFileSize: 1024 * 1024, allowedExtensions: ['.md', '.txt'] })
+  };
+  return new LinkProcessor(dataManager, logger);
+}
+
+async function render(linkProcessor, content) {
+  return (await linkProcessor.expandContent(content, 0, {})).text;
+}
+
+test('paths with spaces or glob characters in their names are links, not several patterns', async (t) => {
+  const root = createRoot({
+    'docs/file (1).md': 'copy',
+    'My Notes/a.md': 'note a',
+    'My Notes/b.md': 'note b'
+  });
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const linkProcessor = createLinkProcessor(root);
+
+  assert.strictEqual(await render(linkProcessor, '{{docs/file (1).md}}'), 'copy');
+  const listing = await render(linkProcessor, '{{My Notes/*}}');
+  assert.match(listing, /--- My Notes\/a\.md ---\nnote a/);
+  assert.match(listing, /--- My Notes\/b\.md ---\nnote b/);
+});
+
+test('glob links split into several patterns with a negation or quotes', async (t) => {
+  const root = createRoot({
+    'docs/a.md': 'a',
+    'docs/drafts/b.md': 'b',
+    'My Notes/c.md': 'c'
+  });
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const linkProcessor = createLinkProcessor(root);
+
+  const { files: negated } = await linkProcessor.matchGlob('docs/**/*.md !docs/drafts/**');
+  assert.deepStrictEqual(negated, ['docs/a.md']);
+  const { files: quoted } = await linkProcessor.matchGlob('"My Notes/*" "docs/*.md"');
+  assert.deepStrictEqual(quoted, ['My Notes/c.md', 'docs/a.md']);
+});
+
+test('substitutes that read files the watcher cannot see are never served stale', async (t) => {
+  const parent = fs.mkdtempSync(path.join(os.tmpdir(), 'papyrus-links-'));
+  t.after(() => fs.rmSync(parent, { recursive: true, force: true }));
+  const dotRoot = path.join(parent, '.notes');
+  fs.mkdirSync(path.join(dotRoot, '.hidden'), { recursive: true });
+  fs.mkdirSync(path.join(dotRoot, 'docs'));
+  const substitutes = { hidden: '{{.hidden/n.md}}', listed: '{{docs/*}}', missing: '{{.hidden/later.md}}' };
+  const linkProcessor = createLinkProcessor(dotRoot, substitutes);
+
+  fs.writeFileSync(path.join(dotRoot, '.hidden', 'n.md'), 'v1');
+  fs.writeFileSync(path.join(dotRoot, 'docs', 'a.md'), 'a1');
+  assert.strictEqual(await render(linkProcessor, '{{hidden}}'), 'v1');
+  assert.match(await render(linkProcessor, '{{listed}}'), /a1/);
+  assert.match(await render(linkProcessor, '{{missing}}'), /File not found/);
+
+  fs.writeFileSync(path.join(dotRoot, '.hidden', 'n.md'), 'v2 changed');
+  fs.writeFileSync(path.join(dotRoot, 'docs', 'b.md'), 'b1');
+  fs.writeFileSync(path.join(dotRoot, '.hidden', 'later.md'), 'now here');
+  assert.strictEqual(await render(linkProcessor, '{{hidden}}'), 'v2 changed');
+  assert.match(await render(linkProcessor, '{{listed}}'), /b1/);
+  assert.strictEqual(await render(linkProcessor, '{{missing}}'), 'now here');
+});